@@ -0,0 +1,143 @@
+const Queue = require("../models/Queue");
+const Appointment = require("../models/Appointment");
+const { emitQueueUpdate } = require("../utils/socket");
+const { ACTIVE_STATUSES } = require("../utils/waitEstimator");
+const { createCheckInToken } = require("../utils/checkIn");
+
+const MERGE_INTERVAL_MS = 60 * 1000; // 1 minute
+const MERGE_LEAD_MINUTES = Number(process.env.APPOINTMENT_MERGE_LEAD_MINUTES) || 15;
+
+// Turn one booked appointment into a live queue entry at its slot position
+const mergeAppointment = async (appointmentId) => {
+  const session = await Queue.startSession();
+  session.startTransaction();
+
+  try {
+    // Claim the booking so overlapping runs don't merge it twice
+    const appointment = await Appointment.findOneAndUpdate(
+      { _id: appointmentId, status: "booked" },
+      { status: "merged" },
+      { new: true, session }
+    );
+    if (!appointment) {
+      await session.abortTransaction();
+      return null;
+    }
+
+    const { vendorId, helperId, scheduledStart } = appointment;
+
+    // Walk-ins were already estimated around this slot, so only those
+    // starting before it stay ahead
+    const aheadCount = await Queue.countDocuments(
+      {
+        vendorId,
+        helperId,
+        status: { $in: ACTIVE_STATUSES },
+        estimatedServiceStartTime: { $lt: scheduledStart },
+      },
+      { session }
+    );
+    const position = aheadCount + 1;
+
+    // Restructure orders by joiningTime, so take the slot just ahead of the
+    // first entry we displace
+    const displaced = await Queue.findOne({
+      vendorId,
+      helperId,
+      status: { $in: ACTIVE_STATUSES },
+      currentPosition: { $gte: position },
+    })
+      .sort({ currentPosition: 1 })
+      .session(session);
+
+    const now = new Date();
+    const estimatedServiceStartTime = scheduledStart > now ? scheduledStart : now;
+
+    const queueEntry = new Queue({
+      userId: appointment.userId,
+      vendorId,
+      helperId,
+      serviceId: appointment.serviceId,
+      userType: "normal",
+      preference: appointment.preference,
+      gender: appointment.gender,
+      joiningPosition: position,
+      currentPosition: position,
+      joiningTime: displaced
+        ? new Date(displaced.joiningTime.getTime() - 1)
+        : now,
+      appointmentId: appointment._id,
+      scheduledStart,
+      estimatedWait: Math.max(
+        0,
+        Math.round((estimatedServiceStartTime - now) / (60 * 1000))
+      ),
+      estimatedServiceStartTime,
+      total: appointment.total,
+      status: "in_queue",
+    });
+    queueEntry.initialEstimatedWait = queueEntry.estimatedWait;
+    queueEntry.checkInToken = createCheckInToken(queueEntry);
+
+    const shifted = await Queue.find({
+      vendorId,
+      helperId,
+      status: { $in: ACTIVE_STATUSES },
+      currentPosition: { $gte: position },
+    })
+      .select("_id")
+      .session(session)
+      .lean();
+
+    await Queue.updateMany(
+      { _id: { $in: shifted.map((q) => q._id) } },
+      { $inc: { currentPosition: 1 } },
+      { session }
+    );
+    await queueEntry.save({ session });
+
+    appointment.queueId = queueEntry._id;
+    await appointment.save({ session });
+    await session.commitTransaction();
+
+    emitQueueUpdate(queueEntry, "appointment");
+    const shiftedEntries = await Queue.find({
+      _id: { $in: shifted.map((q) => q._id) },
+    }).lean();
+    shiftedEntries.forEach((entry) => emitQueueUpdate(entry, "appointment"));
+
+    return queueEntry;
+  } catch (error) {
+    await session.abortTransaction();
+    console.error(`Error merging appointment ${appointmentId}:`, error);
+    return null;
+  } finally {
+    session.endSession();
+  }
+};
+
+// Merge every booking whose slot starts within the lead window
+const mergeDueAppointments = async () => {
+  const due = await Appointment.find({
+    status: "booked",
+    scheduledStart: {
+      $lte: new Date(Date.now() + MERGE_LEAD_MINUTES * 60 * 1000),
+    },
+  })
+    .select("_id")
+    .sort({ scheduledStart: 1 })
+    .lean();
+
+  for (const { _id } of due) {
+    await mergeAppointment(_id);
+  }
+};
+
+const startAppointmentMerger = () =>
+  setInterval(() => {
+    mergeDueAppointments().catch((err) =>
+      console.error("Appointment merge failed:", err)
+    );
+  }, MERGE_INTERVAL_MS);
+
+module.exports = { startAppointmentMerger, mergeDueAppointments };
@@ -0,0 +1,115 @@
+const Queue = require("../models/Queue");
+const Vendor = require("../models/Vendor");
+const { emitQueueUpdate } = require("../utils/socket");
+const { notify } = require("../utils/notifications");
+const { evaluateProximityAlerts } = require("../utils/proximityAlerts");
+const { skipEntry, holdEntry } = require("../utils/queueTransitions");
+
+const ENFORCE_INTERVAL_MS = 60 * 1000; // 1 minute
+
+// Apply the vendor's check-in rule to a customer who reached the front
+// without checking in. Held customers step back one place, so the next
+// person can be served, and keep that slot until they check in.
+const applyCheckInRule = async (vendor, queueId) => {
+  const session = await Queue.startSession();
+  session.startTransaction();
+
+  try {
+    const queue = await Queue.findOne({
+      _id: queueId,
+      status: "in_queue",
+      currentPosition: 1,
+      checkInToken: { $exists: true },
+      checkedInAt: null,
+    })
+      .populate("serviceId", "duration")
+      .session(session);
+    if (!queue) {
+      await session.abortTransaction();
+      return null;
+    }
+
+    const swapped = await skipEntry(
+      vendor,
+      queue,
+      "system",
+      session,
+      "check_in_required"
+    );
+    if (vendor.checkInPolicy.action === "hold") {
+      holdEntry(queue, "system", "check_in_required");
+      queue.checkInHold = true;
+      await queue.save({ session });
+    } else if (!swapped) {
+      // Nobody behind to go first, so leave the customer at the front
+      await session.abortTransaction();
+      return null;
+    }
+
+    await session.commitTransaction();
+
+    [queue, swapped]
+      .filter(Boolean)
+      .forEach((entry) => emitQueueUpdate(entry, "check_in_rule"));
+    if (swapped) await evaluateProximityAlerts([swapped]);
+
+    if (queue.userId) {
+      await notify(queue.userId, {
+        title: "Please Check In",
+        body:
+          queue.status === "hold"
+            ? "You're up next but haven't checked in. Your place is on hold until you check in at the counter."
+            : `You're up next but haven't checked in, so you moved to position ${queue.currentPosition}. Check in at the counter.`,
+        data: { type: "queue_check_in_required", queueId: queue._id },
+      });
+    }
+
+    return queue;
+  } catch (error) {
+    await session.abortTransaction();
+    console.error(`Error applying check-in rule to ${queueId}:`, error);
+    return null;
+  } finally {
+    session.endSession();
+  }
+};
+
+// Find remote customers at the front who haven't arrived yet. Vendors with a
+// no-show policy are left to it: their customers get its grace period before
+// being skipped, and its skips count towards removal.
+const enforceCheckIns = async () => {
+  const vendors = await Vendor.find({
+    accountType: "owner",
+    "checkInPolicy.enabled": true,
+    "noShowPolicy.enabled": { $ne: true },
+    isDeleted: false,
+    isSuspended: false,
+    active: true,
+  }).lean();
+
+  for (const vendor of vendors) {
+    const fronts = await Queue.find({
+      vendorId: vendor._id,
+      status: "in_queue",
+      currentPosition: 1,
+      userType: "normal",
+      checkInToken: { $exists: true }, // Entries from before check-in existed have none
+      checkedInAt: null,
+    })
+      .select("_id")
+      .lean();
+
+    for (const { _id } of fronts) {
+      await applyCheckInRule(vendor, _id);
+    }
+  }
+};
+
+const startCheckInEnforcer = () =>
+  setInterval(() => {
+    enforceCheckIns().catch((err) =>
+      console.error("Check-in enforcement failed:", err)
+    );
+  }, ENFORCE_INTERVAL_MS);
+
+module.exports = { startCheckInEnforcer, enforceCheckIns };
@@ -0,0 +1,129 @@
+const Queue = require("../models/Queue");
+const Vendor = require("../models/Vendor");
+const { emitQueueUpdate } = require("../utils/socket");
+const { notify } = require("../utils/notifications");
+const { evaluateProximityAlerts } = require("../utils/proximityAlerts");
+const {
+  skipEntry,
+  removeEntry,
+  closePositionGap,
+} = require("../utils/queueTransitions");
+
+const NO_SHOW_INTERVAL_MS = 60 * 1000; // 1 minute
+
+// Skips this entry has already had for not showing up. Other automatic
+// skips (e.g. the check-in rule) don't count.
+const countNoShowSkips = (queue) =>
+  queue.updateHistory.filter(
+    (h) => h.action === "skip" && h.reason === "no_show"
+  ).length;
+
+// Skip a customer who missed their turn, or remove them once they've used
+// up the vendor's allowed skips
+const handleNoShow = async (vendor, queueId) => {
+  const session = await Queue.startSession();
+  session.startTransaction();
+
+  try {
+    const queue = await Queue.findOne({
+      _id: queueId,
+      status: "in_queue",
+      currentPosition: 1,
+      checkedInAt: null,
+    })
+      .populate("serviceId", "duration")
+      .session(session);
+    if (!queue) {
+      await session.abortTransaction();
+      return null;
+    }
+
+    const { maxSkips } = vendor.noShowPolicy;
+    let changed;
+    if (countNoShowSkips(queue) >= maxSkips) {
+      removeEntry(queue, "system", "no_show");
+      await queue.save({ session });
+      changed = await closePositionGap(vendor, queue, session);
+    } else {
+      const swapped = await skipEntry(
+        vendor,
+        queue,
+        "system",
+        session,
+        "no_show"
+      );
+      if (!swapped) {
+        // Nobody else is waiting, so there's no one to let go first
+        await session.abortTransaction();
+        return null;
+      }
+      changed = [swapped];
+    }
+
+    await session.commitTransaction();
+
+    [queue, ...changed].forEach((entry) => emitQueueUpdate(entry, "no_show"));
+    await evaluateProximityAlerts(changed);
+
+    if (queue.userId) {
+      const removed = queue.status === "removed";
+      await notify(queue.userId, {
+        title: removed ? "Removed from Queue" : "Turn Missed",
+        body: removed
+          ? "You were removed from the queue after missing your turn"
+          : `You missed your turn and moved to position ${queue.currentPosition}`,
+        data: {
+          type: removed ? "queue_no_show_remove" : "queue_no_show_skip",
+          queueId: queue._id,
+        },
+      });
+    }
+
+    return queue;
+  } catch (error) {
+    await session.abortTransaction();
+    console.error(`Error handling no-show for ${queueId}:`, error);
+    return null;
+  } finally {
+    session.endSession();
+  }
+};
+
+// Find customers at the front whose start time passed the grace period.
+// Checked-in customers are in the shop, and started services are in_service,
+// so neither is a no-show.
+const handleNoShows = async () => {
+  const vendors = await Vendor.find({
+    accountType: "owner",
+    "noShowPolicy.enabled": true,
+    isDeleted: false,
+    isSuspended: false,
+    active: true,
+  }).lean();
+
+  for (const vendor of vendors) {
+    const graceMs = vendor.noShowPolicy.graceMinutes * 60 * 1000;
+    const overdue = await Queue.find({
+      vendorId: vendor._id,
+      status: "in_queue",
+      currentPosition: 1,
+      checkedInAt: null,
+      estimatedServiceStartTime: { $lte: new Date(Date.now() - graceMs) },
+    })
+      .select("_id")
+      .lean();
+
+    for (const { _id } of overdue) {
+      await handleNoShow(vendor, _id);
+    }
+  }
+};
+
+const startNoShowHandler = () =>
+  setInterval(() => {
+    handleNoShows().catch((err) =>
+      console.error("No-show handling failed:", err)
+    );
+  }, NO_SHOW_INTERVAL_MS);
+
+module.exports = { startNoShowHandler, handleNoShows };
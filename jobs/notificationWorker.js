@@ -0,0 +1,19 @@
+const { dispatchPending, pollReceipts } = require("../utils/notifications");
+
+const DISPATCH_INTERVAL_MS = 30 * 1000; // 30 seconds
+const RECEIPT_INTERVAL_MS = 15 * 60 * 1000; // 15 minutes
+
+const startNotificationWorker = () => [
+  setInterval(() => {
+    dispatchPending().catch((err) =>
+      console.error("Notification dispatch failed:", err)
+    );
+  }, DISPATCH_INTERVAL_MS),
+  setInterval(() => {
+    pollReceipts().catch((err) =>
+      console.error("Notification receipt polling failed:", err)
+    );
+  }, RECEIPT_INTERVAL_MS),
+];
+
+module.exports = { startNotificationWorker };
@@ -0,0 +1,153 @@
+const PaymentPlan = require("../models/paymentModel");
+const Vendor = require("../models/Vendor");
+const transporter = require("../utils/mailer");
+const { notify } = require("../utils/notifications");
+const { toLocalDateString } = require("../utils/workingHours");
+
+const EXPIRY_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Days before endDate to remind owners, e.g. "7,1"
+const REMINDER_DAYS = (process.env.PLAN_REMINDER_DAYS || "7,1")
+  .split(",")
+  .map(Number)
+  .filter((days) => days > 0)
+  .sort((a, b) => a - b);
+
+// Push and email an owner about their plan. Never throws.
+const notifyOwner = async (vendorId, { title, body, type, planId }) => {
+  try {
+    await notify(vendorId, { title, body, data: { type, planId } }, "vendor");
+
+    const vendor = await Vendor.findById(vendorId).select("email").lean();
+    if (vendor?.email) {
+      await transporter.sendMail({
+        from: process.env.EMAIL_USER || "mavinash422@gmail.com",
+        to: vendor.email,
+        subject: title,
+        text: `${body}\n\nRenew from the app to keep your premium features.`,
+      });
+    }
+  } catch (err) {
+    console.error(`Plan notice to vendor ${vendorId} failed:`, err);
+  }
+};
+
+// Whether the vendor has paid for time after this plan
+const isRenewed = (plan) =>
+  PaymentPlan.exists({
+    vendorId: plan.vendorId,
+    status: "paid",
+    supersededBy: null,
+    endDate: { $gt: plan.endDate },
+  });
+
+// Turn on stacked renewals whose start has arrived
+const startDuePlans = async (now) => {
+  const due = await PaymentPlan.find({
+    status: "paid",
+    isActive: false,
+    supersededBy: null,
+    startDate: { $lte: now },
+    endDate: { $gt: now },
+  }).lean();
+
+  for (const plan of due) {
+    await PaymentPlan.updateOne({ _id: plan._id }, { isActive: true });
+    await PaymentPlan.updateMany(
+      { vendorId: plan.vendorId, _id: { $ne: plan._id } },
+      { isActive: false }
+    );
+  }
+  return due.length;
+};
+
+// Turn off ended plans, telling owners who didn't renew
+const expireEndedPlans = async (now) => {
+  const ended = await PaymentPlan.find({
+    isActive: true,
+    endDate: { $lte: now },
+  }).lean();
+
+  for (const plan of ended) {
+    // Claim it so overlapping runs don't notify twice
+    const claimed = await PaymentPlan.findOneAndUpdate(
+      { _id: plan._id, isActive: true },
+      { isActive: false }
+    );
+    if (!claimed || plan.supersededBy || (await isRenewed(plan))) continue;
+
+    await notifyOwner(plan.vendorId, {
+      title: "Your plan has expired",
+      body: `Your ${plan.planType} plan ended on ${toLocalDateString(
+        plan.endDate
+      )}.`,
+      type: "plan_expired",
+      planId: plan._id,
+    });
+  }
+  return ended.length;
+};
+
+// Remind owners whose plan ends within one of REMINDER_DAYS and who haven't
+// renewed. Only the nearest due reminder is sent; further-out ones it makes
+// redundant are marked sent too.
+const sendExpiryReminders = async (now) => {
+  if (REMINDER_DAYS.length === 0) return 0;
+  const horizon = new Date(
+    now.getTime() + REMINDER_DAYS[REMINDER_DAYS.length - 1] * DAY_MS
+  );
+
+  const ending = await PaymentPlan.find({
+    status: "paid",
+    isActive: true,
+    supersededBy: null,
+    endDate: { $gt: now, $lte: horizon },
+  }).lean();
+
+  let sent = 0;
+  for (const plan of ending) {
+    const daysLeft = (plan.endDate - now) / DAY_MS;
+    const due = REMINDER_DAYS.find((days) => daysLeft <= days);
+    if (plan.remindersSent?.includes(due) || (await isRenewed(plan))) continue;
+
+    const claimed = await PaymentPlan.findOneAndUpdate(
+      { _id: plan._id, remindersSent: { $ne: due } },
+      {
+        $addToSet: {
+          remindersSent: { $each: REMINDER_DAYS.filter((d) => d >= due) },
+        },
+      }
+    );
+    if (!claimed) continue;
+
+    const remaining = Math.ceil(daysLeft);
+    await notifyOwner(plan.vendorId, {
+      title: "Your plan is about to expire",
+      body: `Your ${plan.planType} plan ends in ${remaining} day${
+        remaining === 1 ? "" : "s"
+      }, on ${toLocalDateString(plan.endDate)}.`,
+      type: "plan_expiring",
+      planId: plan._id,
+    });
+    sent += 1;
+  }
+  return sent;
+};
+
+const checkPlanExpiry = async () => {
+  const now = new Date();
+  await startDuePlans(now);
+  await expireEndedPlans(now);
+  await sendExpiryReminders(now);
+};
+
+const startPlanExpiry = () => {
+  const run = () =>
+    checkPlanExpiry().catch((err) =>
+      console.error("Plan expiry check failed:", err)
+    );
+  run();
+  return setInterval(run, EXPIRY_INTERVAL_MS);
+};
+
+module.exports = { startPlanExpiry, checkPlanExpiry };
@@ -0,0 +1,146 @@
+const Queue = require("../models/Queue");
+const ServiceDurationStat = require("../models/ServiceDurationStat");
+
+const STATS_INTERVAL_MS = 6 * 60 * 60 * 1000; // 6 hours
+const LOOKBACK_DAYS = Number(process.env.SERVICE_STATS_LOOKBACK_DAYS) || 90;
+// Longer gaps mean the helper was away, not still serving
+const MAX_SAMPLE_MINUTES = 8 * 60;
+
+// Time of an entry's last `next` record, for entries without completedAt
+const LAST_NEXT_AT = {
+  $max: {
+    $map: {
+      input: {
+        $filter: {
+          input: "$updateHistory",
+          as: "h",
+          cond: { $eq: ["$$h.action", "next"] },
+        },
+      },
+      as: "h",
+      in: "$$h.timestamp",
+    },
+  },
+};
+
+// Nearest-rank percentile of an ascending list
+const percentile = (sorted, p) =>
+  sorted[
+    Math.min(sorted.length - 1, Math.max(0, Math.ceil(p * sorted.length) - 1))
+  ];
+
+const round = (minutes) => Math.round(minutes * 10) / 10;
+
+// Recompute median/p90 per service, per service and helper, from the
+// completed entries of the lookback window
+const computeServiceDurationStats = async () => {
+  const computedAt = new Date();
+  const since = new Date(
+    computedAt.getTime() - LOOKBACK_DAYS * 24 * 60 * 60 * 1000
+  );
+
+  const samples = new Map();
+  const addSample = (vendorId, serviceId, helperId, minutes) => {
+    const key = `${vendorId}:${serviceId}:${helperId || ""}`;
+    if (!samples.has(key)) {
+      samples.set(key, { vendorId, serviceId, helperId, durations: [] });
+    }
+    samples.get(key).durations.push(minutes);
+  };
+
+  // Streamed helper by helper, in the order they finished. A helper serves
+  // one customer at a time, so without a start_service stamp a service
+  // started when the previous one finished, or when the customer joined if
+  // the helper was idle. Entries from before completedAt was stamped fall
+  // back to their last `next` record, then their last update.
+  const cursor = Queue.aggregate([
+    {
+      $match: {
+        status: "completed",
+        $or: [
+          { completedAt: { $gte: since } },
+          { completedAt: null, updatedAt: { $gte: since } },
+        ],
+      },
+    },
+    {
+      $project: {
+        vendorId: 1,
+        helperId: 1,
+        serviceId: 1,
+        joiningTime: 1,
+        serviceStartedAt: 1,
+        finishedAt: {
+          $ifNull: ["$completedAt", LAST_NEXT_AT, "$updatedAt"],
+        },
+      },
+    },
+    { $match: { finishedAt: { $gte: since } } },
+    { $sort: { helperId: 1, finishedAt: 1 } },
+  ])
+    .allowDiskUse(true)
+    .cursor();
+
+  let helperId;
+  let previousCompletedAt = null;
+  for await (const queue of cursor) {
+    if (queue.helperId !== helperId) {
+      helperId = queue.helperId;
+      previousCompletedAt = null;
+    }
+
+    const completedAt = new Date(queue.finishedAt);
+    const joined = new Date(queue.joiningTime);
+    const startedAt = queue.serviceStartedAt
+      ? new Date(queue.serviceStartedAt)
+      : previousCompletedAt && previousCompletedAt > joined
+      ? previousCompletedAt
+      : joined;
+    previousCompletedAt = completedAt;
+
+    const minutes = (completedAt - startedAt) / (60 * 1000);
+    if (minutes <= 0 || minutes > MAX_SAMPLE_MINUTES) continue;
+
+    addSample(queue.vendorId, queue.serviceId, helperId, minutes);
+    addSample(queue.vendorId, queue.serviceId, null, minutes);
+  }
+
+  const operations = [...samples.values()].map(
+    ({ vendorId, serviceId, helperId, durations }) => {
+      const sorted = durations.sort((a, b) => a - b);
+      return {
+        updateOne: {
+          filter: { vendorId, serviceId, helperId },
+          update: {
+            $set: {
+              sampleCount: sorted.length,
+              median: round(percentile(sorted, 0.5)),
+              p90: round(percentile(sorted, 0.9)),
+              computedAt,
+            },
+          },
+          upsert: true,
+        },
+      };
+    }
+  );
+
+  if (operations.length > 0) {
+    await ServiceDurationStat.bulkWrite(operations, { ordered: false });
+  }
+  // Services with no completions left in the window
+  await ServiceDurationStat.deleteMany({ computedAt: { $lt: computedAt } });
+
+  return operations.length;
+};
+
+const startServiceDurationStats = () => {
+  const run = () =>
+    computeServiceDurationStats().catch((err) =>
+      console.error("Service duration stats failed:", err)
+    );
+  run();
+  return setInterval(run, STATS_INTERVAL_MS);
+};
+
+module.exports = { startServiceDurationStats, computeServiceDurationStats };
@@ -0,0 +1,21 @@
+const { getEntitlements, entitlementDenial } = require("../utils/entitlements");
+
+// Allow the request only when the caller's business plan includes `feature`
+// (see PLAN_LIMITS). Runs after verifyUser; sets req.entitlements.
+const requireFeature = (feature) => async (req, res, next) => {
+  try {
+    const entitlements = await getEntitlements(req.user.id);
+    if (!entitlements.limits[feature]) {
+      return res.status(403).json(entitlementDenial(entitlements, feature));
+    }
+    req.entitlements = entitlements;
+    next();
+  } catch (err) {
+    console.error("Entitlement check error:", err.message);
+    return res
+      .status(500)
+      .json({ success: false, message: "Internal server error", data: null });
+  }
+};
+
+module.exports = requireFeature;
@@ -0,0 +1,36 @@
+const User = require("../models/User");
+
+// Allow only platform admins through. Runs after verifyUser; admins are
+// users with role "admin", granted directly in the database.
+const verifyAdmin = async (req, res, next) => {
+  if (req.user?.type !== "user") {
+    return res
+      .status(403)
+      .json({ success: false, message: "Admin access required", data: null });
+  }
+
+  try {
+    const admin = await User.findOne({
+      _id: req.user.id,
+      role: "admin",
+      isDeleted: false,
+      isSuspended: false,
+    })
+      .select("firstName lastName email")
+      .lean();
+    if (!admin) {
+      return res
+        .status(403)
+        .json({ success: false, message: "Admin access required", data: null });
+    }
+    req.admin = admin;
+    next();
+  } catch (err) {
+    console.error("Admin verification error:", err.message);
+    return res
+      .status(500)
+      .json({ success: false, message: "Internal server error", data: null });
+  }
+};
+
+module.exports = verifyAdmin;
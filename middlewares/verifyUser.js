@@ -9,6 +9,26 @@ redisClient
 
 const JWT_SECRET = process.env.JWT_SECRET;
 
+// Verify JWT and its Redis session; returns { decoded } or { error }
+// Shared by the HTTP middleware and the socket handshake
+const authenticateToken = async (token) => {
+  if (!token) {
+    return { error: "Unauthorized" };
+  }
+
+  const decoded = jwt.verify(token, JWT_SECRET);
+  if (!decoded.session) {
+    return { error: "Invalid token" };
+  }
+
+  const session = await redisClient.get(decoded.session);
+  if (!session) {
+    return { error: "Session expired" };
+  }
+
+  return { decoded };
+};
+
 const verifyUser = async (req, res, next) => {
   const token = req.headers["authorization"]?.split(" ")[1];
   if (!token) {
@@ -18,20 +38,13 @@ const verifyUser = async (req, res, next) => {
   }
 
   try {
-    const decoded = jwt.verify(token, JWT_SECRET);
-    if (!decoded.session) {
+    const { decoded, error } = await authenticateToken(token);
+    if (error) {
       return res
         .status(401)
-        .json({ success: false, message: "Invalid token", data: null });
+        .json({ success: false, message: error, data: null });
     }
     req.user = decoded;
-
-    const session = await redisClient.get(decoded.session);
-    if (!session) {
-      return res
-        .status(401)
-        .json({ success: false, message: "Session expired", data: null });
-    }
     next();
   } catch (err) {
     console.error("Verification error:", err.message);
@@ -42,3 +55,4 @@ const verifyUser = async (req, res, next) => {
 };
 
 module.exports = verifyUser;
+module.exports.authenticateToken = authenticateToken;
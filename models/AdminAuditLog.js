@@ -0,0 +1,33 @@
+const mongoose = require("mongoose");
+const { v4: uuidv4 } = require("uuid");
+
+// One record per admin back-office action
+const adminAuditLogSchema = new mongoose.Schema(
+  {
+    _id: { type: String, default: uuidv4 },
+    adminId: { type: String, ref: "User", required: true },
+    action: { type: String, required: true }, // e.g. suspend_user, ticket_status
+    targetType: {
+      type: String,
+      enum: [
+        "user",
+        "vendor",
+        "support_request",
+        "queue",
+        "coupon",
+        "plan_price",
+      ],
+    },
+    targetId: { type: String }, // Unset for searches
+    reason: { type: String },
+    details: { type: Object, default: {} }, // Filters used, before/after values
+    ip: { type: String },
+  },
+  { timestamps: true }
+);
+
+adminAuditLogSchema.index({ createdAt: -1 });
+adminAuditLogSchema.index({ adminId: 1, createdAt: -1 });
+adminAuditLogSchema.index({ targetId: 1, createdAt: -1 });
+
+module.exports = mongoose.model("AdminAuditLog", adminAuditLogSchema);
@@ -0,0 +1,38 @@
+const mongoose = require("mongoose");
+const { v4: uuidv4 } = require("uuid");
+
+const appointmentSchema = new mongoose.Schema(
+  {
+    _id: { type: String, default: uuidv4 },
+    userId: { type: String, ref: "User", required: true },
+    vendorId: { type: String, ref: "Vendor", required: true },
+    helperId: { type: String, ref: "Vendor", required: true }, // Resolved even for ANY
+    serviceId: { type: String, ref: "RateCard", required: true },
+    preference: { type: String, enum: ["ANY", "SPECIFIC"], default: "ANY" },
+    gender: {
+      type: String,
+      enum: ["male", "female", "child"],
+      required: true,
+    },
+    scheduledStart: { type: Date, required: true },
+    scheduledEnd: { type: Date, required: true },
+    duration: { type: Number, required: true }, // in minutes, snapshot of RateCard
+    total: { type: Number, required: true }, // Service cost snapshot
+    status: {
+      type: String,
+      enum: ["booked", "merged", "cancelled"],
+      default: "booked",
+    },
+    queueId: { type: String, ref: "Queue" }, // Set once merged into the live queue
+    cancelledBy: { type: String, enum: ["user", "vendor"] },
+    rescheduleCount: { type: Number, default: 0 },
+  },
+  { timestamps: true }
+);
+
+appointmentSchema.index({ helperId: 1, status: 1, scheduledStart: 1 });
+appointmentSchema.index({ vendorId: 1, scheduledStart: 1 });
+appointmentSchema.index({ userId: 1, scheduledStart: -1 });
+appointmentSchema.index({ status: 1, scheduledStart: 1 });
+
+module.exports = mongoose.model("Appointment", appointmentSchema);
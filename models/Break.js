@@ -0,0 +1,21 @@
+const mongoose = require("mongoose");
+const { v4: uuidv4 } = require("uuid");
+
+// A business-wide or helper break, from set-break until resume-break
+const breakSchema = new mongoose.Schema(
+  {
+    _id: { type: String, default: uuidv4 },
+    vendorId: { type: String, ref: "Vendor", required: true }, // Business owner
+    helperId: { type: String, ref: "Vendor", default: null }, // null = whole business
+    reason: { type: String },
+    message: { type: String },
+    plannedDuration: { type: Number }, // in minutes, as announced
+    startedAt: { type: Date, default: Date.now },
+    endedAt: { type: Date, default: null }, // null while the break is running
+  },
+  { timestamps: true }
+);
+
+breakSchema.index({ vendorId: 1, helperId: 1, startedAt: -1 });
+
+module.exports = mongoose.model("Break", breakSchema);
@@ -0,0 +1,35 @@
+const mongoose = require("mongoose");
+const { v4: uuidv4 } = require("uuid");
+
+// Promo code for vendor subscriptions, redeemed at order creation
+const couponSchema = new mongoose.Schema(
+  {
+    _id: { type: String, default: uuidv4 },
+    code: { type: String, required: true, uppercase: true, trim: true },
+    description: { type: String },
+    discountType: {
+      type: String,
+      enum: ["percentage", "flat"],
+      required: true,
+    },
+    value: { type: Number, required: true, min: 0 }, // Percent or rupees
+    maxDiscount: { type: Number }, // Cap in rupees, for percentage coupons
+    planTypes: {
+      type: [{ type: String, enum: ["monthly", "yearly"] }],
+      default: ["monthly", "yearly"],
+    },
+    validFrom: { type: Date, default: Date.now },
+    validUntil: { type: Date }, // Unset for no end
+    maxUses: { type: Number, min: 1 }, // Across all vendors; unset for no limit
+    maxUsesPerVendor: { type: Number, min: 1, default: 1 },
+    usedCount: { type: Number, default: 0 }, // Paid orders that used it
+    firstTimeOnly: { type: Boolean, default: false }, // Vendors who never paid
+    active: { type: Boolean, default: true },
+    createdBy: { type: String, ref: "User" }, // Admin
+  },
+  { timestamps: true }
+);
+
+couponSchema.index({ code: 1 }, { unique: true });
+
+module.exports = mongoose.model("Coupon", couponSchema);
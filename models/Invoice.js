@@ -0,0 +1,57 @@
+const mongoose = require("mongoose");
+const { v4: uuidv4 } = require("uuid");
+
+const lineItemSchema = new mongoose.Schema(
+  {
+    serviceId: { type: String, ref: "RateCard" }, // Unset for extra products
+    description: { type: String, required: true },
+    quantity: { type: Number, required: true, min: 1 },
+    unitPrice: { type: Number, required: true, min: 0 },
+    amount: { type: Number, required: true }, // quantity x unitPrice
+  },
+  { _id: false }
+);
+
+// What a customer actually paid for a completed queue entry
+const invoiceSchema = new mongoose.Schema(
+  {
+    _id: { type: String, default: uuidv4 },
+    invoiceNumber: { type: String, required: true }, // e.g. INV-000042
+    sequence: { type: Number, required: true }, // Per vendor, no gaps
+    vendorId: { type: String, ref: "Vendor", required: true }, // Business owner
+    queueId: { type: String, ref: "Queue", required: true },
+    helperId: { type: String, ref: "Vendor" },
+    userId: { type: String, ref: "User" },
+    manualUserId: { type: String, ref: "ManualAddUsers" },
+    customerName: { type: String },
+    lineItems: { type: [lineItemSchema], required: true },
+    subtotal: { type: Number, required: true },
+    discount: {
+      type: { type: String, enum: ["percentage", "flat"] },
+      value: { type: Number, default: 0 },
+      amount: { type: Number, default: 0 },
+    },
+    taxPercent: { type: Number, default: 0 },
+    taxAmount: { type: Number, default: 0 },
+    tip: { type: Number, default: 0 },
+    total: { type: Number, required: true },
+    paymentMethod: {
+      type: String,
+      // online = paid through Razorpay; pending = left for the customer to
+      // pay in the app, the only state that can still be paid online
+      enum: ["cash", "upi", "card", "online", "pending"],
+      required: true,
+    },
+    paymentReference: { type: String }, // UPI / card transaction or Razorpay payment ID
+    issuedBy: { type: String, ref: "Vendor", required: true }, // Owner or helper
+    issuedAt: { type: Date, default: Date.now },
+  },
+  { timestamps: true }
+);
+
+invoiceSchema.index({ vendorId: 1, sequence: 1 }, { unique: true });
+invoiceSchema.index({ queueId: 1 }, { unique: true });
+invoiceSchema.index({ vendorId: 1, issuedAt: -1 });
+invoiceSchema.index({ userId: 1, issuedAt: -1 });
+
+module.exports = mongoose.model("Invoice", invoiceSchema);
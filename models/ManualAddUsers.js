@@ -0,0 +1,27 @@
+const mongoose = require("mongoose");
+const { v4: uuidv4 } = require("uuid");
+
+// ManualAddUsers Schema
+const phoneSchema = new mongoose.Schema({
+  dialCode: { type: String, required: true },
+  number: { type: String, required: true },
+});
+
+const manualAddUsersSchema = new mongoose.Schema(
+  {
+    _id: { type: String, default: uuidv4 },
+    vendorId: { type: String, ref: "Vendor", required: true },
+    name: { type: String, required: true },
+    phone: { type: phoneSchema, required: true },
+    gender: { type: String, enum: ["male", "female", "child"], required: true },
+    notes: { type: String },
+    isDeleted: { type: Boolean, default: false },
+    createdAt: { type: Date, default: Date.now },
+  },
+  { timestamps: true }
+);
+
+manualAddUsersSchema.index({ vendorId: 1, isDeleted: 1 });
+manualAddUsersSchema.index({ "phone.dialCode": 1, "phone.number": 1 });
+
+module.exports = mongoose.model("ManualAddUsers", manualAddUsersSchema);
@@ -0,0 +1,34 @@
+const mongoose = require("mongoose");
+const { v4: uuidv4 } = require("uuid");
+
+// Outbox record of every push notification sent (or attempted)
+const notificationSchema = new mongoose.Schema(
+  {
+    _id: { type: String, default: uuidv4 },
+    recipientId: { type: String }, // User or Vendor ID, if the token is known
+    recipientType: { type: String, enum: ["user", "vendor"] },
+    pushToken: { type: String, required: true }, // Snapshot at send time
+    title: { type: String, required: true },
+    body: { type: String, required: true },
+    data: { type: Object, default: {} },
+    type: { type: String }, // data.type, for filtering history
+    status: {
+      type: String,
+      enum: ["pending", "sent", "delivered", "failed"],
+      default: "pending",
+    },
+    attempts: { type: Number, default: 0 },
+    nextAttemptAt: { type: Date, default: Date.now },
+    ticketId: { type: String }, // Expo push ticket, used to fetch the receipt
+    sentAt: { type: Date },
+    deliveredAt: { type: Date },
+    lastError: { type: String },
+  },
+  { timestamps: true }
+);
+
+notificationSchema.index({ status: 1, nextAttemptAt: 1 });
+notificationSchema.index({ status: 1, sentAt: 1 });
+notificationSchema.index({ recipientId: 1, createdAt: -1 });
+
+module.exports = mongoose.model("Notification", notificationSchema);
@@ -0,0 +1,15 @@
+const mongoose = require("mongoose");
+
+// Subscription price per plan, set by admins. Plans without a record use
+// DEFAULT_PLAN_PRICES in utils/subscriptions.
+const planPriceSchema = new mongoose.Schema(
+  {
+    _id: { type: String, enum: ["monthly", "yearly"] }, // Plan type
+    price: { type: Number, required: true, min: 1 }, // in rupees
+    currency: { type: String, default: "INR" },
+    updatedBy: { type: String, ref: "User" }, // Admin who set it
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("PlanPrice", planPriceSchema);
@@ -0,0 +1,127 @@
+const mongoose = require("mongoose");
+const { v4: uuidv4 } = require("uuid");
+
+// Queue Schema
+const updateHistorySchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: [
+      "skip",
+      "hold",
+      "remove",
+      "next",
+      "add_time",
+      "unhold",
+      "edit",
+      "undo",
+      "start_service",
+      "check_in",
+    ],
+    required: true,
+  },
+  source: {
+    type: String,
+    enum: ["user", "vendor", "system"], // system = background jobs
+    required: true,
+  },
+  // Why a system action happened, e.g. to count no-show skips on their own
+  reason: { type: String, enum: ["no_show", "check_in_required"] },
+  timestamp: { type: Date, default: Date.now },
+  previousPosition: { type: Number },
+  newPosition: { type: Number },
+  addedTime: { type: Number }, // in minutes, for add_time action
+  estimatedWait: { type: Number }, // Track wait time changes
+  serviceId: { type: String, ref: "RateCard" }, // for edit action
+  businessId: { type: String, ref: "Vendor" }, // New field for business ID
+  newlyAssignedHelperId: { type: String, ref: "Vendor" }, // New field for helper ID
+});
+
+const queueSchema = new mongoose.Schema(
+  {
+    _id: { type: String, default: uuidv4 },
+    userId: { type: String, ref: "User" }, // For normal registered users
+    manualUserId: { type: String, ref: "ManualAddUsers" }, // For manual users
+    vendorId: { type: String, ref: "Vendor", required: true },
+    helperId: { type: String, ref: "Vendor" }, // Specific helper or null for ANY
+    serviceId: { type: String, ref: "RateCard", required: true },
+    userType: { type: String, enum: ["normal", "manual"], required: true }, // ✅ FIXED
+    preference: { type: String, enum: ["ANY", "SPECIFIC"], default: "ANY" },
+    gender: {
+      type: String,
+      enum: ["male", "female", "child"],
+      required: true,
+    },
+    joiningPosition: { type: Number, required: true },
+    currentPosition: { type: Number, required: true },
+    joiningTime: { type: Date, default: Date.now },
+    appointmentId: { type: String, ref: "Appointment" }, // Set for merged bookings
+    scheduledStart: { type: Date }, // Booked slot start, for merged bookings
+    visitId: { type: String }, // Groups services enqueued together for one customer
+    visitSequence: { type: Number }, // Order of this service within the visit
+    estimatedServiceStartTime: { type: Date, required: true },
+    estimatedWait: { type: Number, required: true }, // in minutes
+    initialEstimatedWait: { type: Number }, // in minutes, as quoted on joining
+    estimatedWaitRange: {
+      min: { type: Number }, // in minutes, optimistic
+      max: { type: Number }, // in minutes, pessimistic
+    },
+    status: {
+      type: String,
+      enum: [
+        "in_queue",
+        "in_service",
+        "hold",
+        "completed",
+        "skipped",
+        "removed",
+      ],
+      default: "in_queue",
+    },
+    checkInToken: { type: String }, // Signed QR payload, remote customers only
+    checkedInAt: { type: Date }, // Arrival at the shop
+    checkInHold: { type: Boolean, default: false }, // Held until check-in
+    // Customer's "almost up" subscription; *SentAt marks an alert as fired
+    proximityAlerts: {
+      position: { type: Number }, // alert at this position or closer
+      waitMinutes: { type: Number }, // alert once the wait drops to this
+      positionSentAt: { type: Date },
+      waitSentAt: { type: Date },
+    },
+    serviceStartedAt: { type: Date }, // Set by start_service
+    completedAt: { type: Date }, // Set by next
+    actualWait: { type: Number }, // in minutes, joining to service start
+    actualServiceDuration: { type: Number }, // in minutes, start to completion
+    updateHistory: [updateHistorySchema],
+    total: { type: Number, required: true }, // Service cost
+    invoiceId: { type: String, ref: "Invoice" }, // Set once billed
+    // Customer's online payment through Razorpay
+    payment: {
+      status: {
+        type: String,
+        enum: ["created", "paid", "failed", "refund_pending", "refunded"],
+      },
+      timing: { type: String, enum: ["prepaid", "postpaid"] }, // Before or after service
+      orderId: { type: String },
+      previousOrderIds: { type: [String], default: undefined }, // Replaced orders, still payable
+      paymentId: { type: String },
+      amount: { type: Number }, // in rupees
+      paidAt: { type: Date },
+      refundId: { type: String },
+      refundedAt: { type: Date },
+    },
+    rating: { type: Number, min: 0, max: 5 }, // Post-service rating
+    notes: { type: String }, // Post-service comments
+  },
+  { timestamps: true }
+);
+
+queueSchema.index({ vendorId: 1, status: 1 });
+queueSchema.index({ helperId: 1, status: 1 });
+queueSchema.index({ helperId: 1, status: 1, completedAt: -1 });
+queueSchema.index({ serviceId: 1 });
+queueSchema.index({ joiningTime: -1 });
+queueSchema.index({ visitId: 1, visitSequence: 1 });
+queueSchema.index({ "payment.orderId": 1 }, { sparse: true });
+queueSchema.index({ "payment.previousOrderIds": 1 }, { sparse: true });
+
+module.exports = mongoose.model("Queue", queueSchema);
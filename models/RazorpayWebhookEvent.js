@@ -0,0 +1,24 @@
+const mongoose = require("mongoose");
+
+// Razorpay webhook deliveries already handled, keyed by Razorpay's event ID
+const razorpayWebhookEventSchema = new mongoose.Schema(
+  {
+    _id: { type: String }, // x-razorpay-event-id
+    event: { type: String, required: true }, // e.g. payment.captured
+    orderId: { type: String },
+    paymentId: { type: String },
+    paymentPlanId: { type: String, ref: "PaymentPlan" }, // Plan updated, if any
+  },
+  { timestamps: true }
+);
+
+// Razorpay stops retrying well within a month
+razorpayWebhookEventSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: 30 * 24 * 60 * 60 }
+);
+
+module.exports = mongoose.model(
+  "RazorpayWebhookEvent",
+  razorpayWebhookEventSchema
+);
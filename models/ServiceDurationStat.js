@@ -0,0 +1,27 @@
+const mongoose = require("mongoose");
+const { v4: uuidv4 } = require("uuid");
+
+// Actual service times learned from completed queue entries
+const serviceDurationStatSchema = new mongoose.Schema(
+  {
+    _id: { type: String, default: uuidv4 },
+    vendorId: { type: String, ref: "Vendor", required: true }, // Business owner
+    serviceId: { type: String, ref: "RateCard", required: true },
+    helperId: { type: String, ref: "Vendor", default: null }, // null = all helpers
+    sampleCount: { type: Number, required: true },
+    median: { type: Number, required: true }, // in minutes
+    p90: { type: Number, required: true }, // in minutes
+    computedAt: { type: Date, required: true },
+  },
+  { timestamps: true }
+);
+
+serviceDurationStatSchema.index(
+  { vendorId: 1, serviceId: 1, helperId: 1 },
+  { unique: true }
+);
+
+module.exports = mongoose.model(
+  "ServiceDurationStat",
+  serviceDurationStatSchema
+);
@@ -1,6 +1,16 @@
 const mongoose = require("mongoose");
 const { v4: uuidv4 } = require("uuid");
 
+// One reply in a ticket's thread
+const ticketMessageSchema = new mongoose.Schema({
+  _id: { type: String, default: uuidv4 },
+  authorType: { type: String, enum: ["requester", "staff"], required: true },
+  authorId: { type: String, required: true }, // Requester, or admin User ID
+  message: { type: String, required: true },
+  attachments: [{ type: String }], // Cloudinary URLs
+  createdAt: { type: Date, default: Date.now },
+});
+
 const supportRequestSchema = new mongoose.Schema({
   _id: { type: String, default: uuidv4 },
   subject: { type: String, required: true },
@@ -15,11 +25,14 @@ const supportRequestSchema = new mongoose.Schema({
     default: "open",
   },
   attachments: [{ type: String }], // Array of file URLs or paths
+  messages: [ticketMessageSchema], // Replies after the opening message
+  lastReplyAt: { type: Date },
+  lastReplyBy: { type: String, enum: ["requester", "staff"] },
 });
 
 // Indexes for common query fields
 supportRequestSchema.index({ email: 1 });
-supportRequestSchema.index({ createdBy: 1 });
+supportRequestSchema.index({ createdBy: 1, createdAt: -1 });
 supportRequestSchema.index({ createdAt: -1 }); // -1 for descending order (recent first)
 
 const SupportRequest = mongoose.model("SupportRequest", supportRequestSchema);
@@ -1,5 +1,6 @@
 const mongoose = require("mongoose");
 const { v4: uuidv4 } = require("uuid");
+const notificationPreferencesSchema = require("./notificationPreferences");
 
 const phoneSchema = new mongoose.Schema({
   dialCode: { type: String, required: true },
@@ -24,7 +25,12 @@ const userSchema = new mongoose.Schema(
       index: { unique: true, partialFilterExpression: { isDeleted: false } },
     },
     password: { type: String, required: true }, // hashed
+    role: { type: String, enum: ["user", "admin"], default: "user" }, // admin = platform operator
     receiveNotifications: { type: Boolean, default: true },
+    notificationPreferences: {
+      type: notificationPreferencesSchema,
+      default: () => ({}),
+    },
     twoFA: { type: Boolean, default: false },
     avatar: { type: String }, // URL
     pushToken: { type: String },
@@ -1,6 +1,7 @@
 const mongoose = require("mongoose");
 const { v4: uuidv4 } = require("uuid");
 const RateCard = require("./RateCard");
+const notificationPreferencesSchema = require("./notificationPreferences");
 
 const phoneSchema = new mongoose.Schema({
   dialCode: { type: String, required: true },
@@ -45,6 +46,17 @@ const workingHoursSchema = new mongoose.Schema({
   },
 });
 
+// Date-specific override of the weekly working hours (holidays, festivals)
+const hoursExceptionSchema = new mongoose.Schema({
+  _id: { type: String, default: uuidv4 },
+  startDate: { type: String, required: true }, // "YYYY-MM-DD", local date
+  endDate: { type: String, required: true }, // inclusive
+  type: { type: String, enum: ["closed", "special_hours"], required: true },
+  openTime: { type: String }, // required for special_hours
+  closeTime: { type: String },
+  reason: { type: String },
+});
+
 const connectedHelperSchema = new mongoose.Schema({
   _id: { type: String, default: uuidv4 },
   helperId: { type: String, ref: "Vendor", required: true },
@@ -80,7 +92,36 @@ const vendorSchema = new mongoose.Schema(
     isDeleted: { type: Boolean, default: false },
     isSuspended: { type: Boolean, default: false },
     receiveNotification: { type: Boolean, default: true },
+    notificationPreferences: {
+      type: notificationPreferencesSchema,
+      default: () => ({}),
+    },
     workingHours: { type: workingHoursSchema, default: () => ({}) },
+    hoursExceptions: [hoursExceptionSchema],
+    useLearnedDurations: { type: Boolean, default: false }, // Estimate with actual service times
+    // What happens to a remote customer who reaches the front unchecked-in
+    checkInPolicy: {
+      enabled: { type: Boolean, default: false },
+      action: { type: String, enum: ["hold", "skip"], default: "hold" },
+    },
+    // Queue texts to manual (walk-in) customers; templates override the defaults
+    smsNotifications: {
+      enabled: { type: Boolean, default: false },
+      templates: { type: Map, of: String, default: {} }, // event -> text
+    },
+    // Customers who don't turn up once their turn comes are skipped, then removed
+    // Takes over from checkInPolicy for customers who haven't arrived
+    noShowPolicy: {
+      enabled: { type: Boolean, default: false },
+      graceMinutes: { type: Number, default: 10 }, // after estimatedServiceStartTime
+      maxSkips: { type: Number, default: 2 }, // automatic skips before removal
+    },
+    // Point-of-sale billing defaults
+    billing: {
+      taxPercent: { type: Number, default: 0, min: 0, max: 100 },
+      invoicePrefix: { type: String, default: "INV" },
+    },
+    invoiceSequence: { type: Number, default: 0 }, // Last invoice number issued
     twoFA: { type: Boolean, default: false },
     privacyMode: { type: Boolean, default: false },
     inactivityReminder: {
@@ -0,0 +1,35 @@
+const mongoose = require("mongoose");
+
+// Channel toggles for one kind of notification
+const channelsSchema = ({ push = true, sms = true, email = true } = {}) =>
+  new mongoose.Schema(
+    {
+      push: { type: Boolean, default: push },
+      sms: { type: Boolean, default: sms },
+      email: { type: Boolean, default: email },
+    },
+    { _id: false }
+  );
+
+// Shared by users and vendors. Quiet hours are "HH:mm" in business time.
+const notificationPreferencesSchema = new mongoose.Schema(
+  {
+    queueMovement: { type: channelsSchema(), default: () => ({}) },
+    breaks: { type: channelsSchema(), default: () => ({}) },
+    serviceCompleted: { type: channelsSchema(), default: () => ({}) },
+    // Push stays on: broadcasts were always pushed before preferences existed
+    promotions: {
+      type: channelsSchema({ sms: false, email: false }),
+      default: () => ({}),
+    },
+    supportReplies: { type: channelsSchema(), default: () => ({}) },
+    quietHours: {
+      enabled: { type: Boolean, default: false },
+      start: { type: String, default: "22:00" },
+      end: { type: String, default: "07:00" },
+    },
+  },
+  { _id: false }
+);
+
+module.exports = notificationPreferencesSchema;
@@ -17,8 +17,16 @@ const paymentPlanSchema = new mongoose.Schema(
     signature: { type: String },
     startDate: { type: Date, required: true },
     endDate: { type: Date, required: true },
-    isActive: { type: Boolean, default: false },
+    isActive: { type: Boolean, default: false }, // In effect right now
     currency: { type: String, default: "INR" },
+    price: { type: Number }, // Catalog price in rupees, before credit and coupon
+    proratedCredit: { type: Number, default: 0 }, // Rupees off for unused time on replaced plans
+    couponId: { type: String, ref: "Coupon" },
+    couponCode: { type: String },
+    discount: { type: Number, default: 0 }, // Rupees off from the coupon
+    supersedesPlanIds: [{ type: String, ref: "PaymentPlan" }], // Replaced by this upgrade once paid
+    supersededBy: { type: String, ref: "PaymentPlan" }, // Upgrade that cut this plan short
+    remindersSent: [{ type: Number }], // Days-before-expiry reminders already sent
   },
   { timestamps: true }
 );
@@ -28,5 +36,8 @@ paymentPlanSchema.index({ vendorId: 1 });
 paymentPlanSchema.index({ status: 1 });
 paymentPlanSchema.index({ isActive: 1 });
 paymentPlanSchema.index({ startDate: -1 });
+paymentPlanSchema.index({ orderId: 1 });
+paymentPlanSchema.index({ status: 1, endDate: 1 });
+paymentPlanSchema.index({ couponId: 1, vendorId: 1 }, { sparse: true });
 
 module.exports = mongoose.model("PaymentPlan", paymentPlanSchema);
@@ -0,0 +1,947 @@
+const express = require("express");
+const router = express.Router();
+const redis = require("redis");
+const { body, validationResult } = require("express-validator");
+const verifyUser = require("../middlewares/verifyUser");
+const verifyAdmin = require("../middlewares/verifyAdmin");
+const User = require("../models/User");
+const Vendor = require("../models/Vendor");
+const Queue = require("../models/Queue");
+const SupportRequest = require("../models/SupportRequest");
+const AdminAuditLog = require("../models/AdminAuditLog");
+const Coupon = require("../models/Coupon");
+const PlanPrice = require("../models/PlanPrice");
+const { ACTIVE_STATUSES } = require("../utils/waitEstimator");
+const { normalizeCode } = require("../utils/coupons");
+const { DEFAULT_PLAN_PRICES } = require("../utils/subscriptions");
+const {
+  TICKET_TRANSITIONS,
+  receiveAttachments,
+  uploadAttachments,
+  addTicketMessage,
+  notifyRequesterOfReply,
+} = require("../utils/supportTickets");
+
+const redisClient = redis.createClient({ url: process.env.REDIS_URL });
+redisClient
+  .connect()
+  .catch((err) => console.error("Redis connection error:", err));
+
+// Every route below is admin-only
+router.use(verifyUser, verifyAdmin);
+
+// Record an admin action. Pass the session to log it in the same transaction.
+const recordAdminAction = async (
+  req,
+  { action, targetType, targetId, reason, details },
+  session = null
+) => {
+  await AdminAuditLog.create(
+    [
+      {
+        adminId: req.admin._id,
+        action,
+        targetType,
+        targetId,
+        reason,
+        details,
+        ip: req.ip,
+      },
+    ],
+    { session }
+  );
+};
+
+// Log an account out everywhere
+const revokeSessions = async (accountId) => {
+  const sessions = await redisClient.sMembers(`activeSessions:${accountId}`);
+  if (sessions.length > 0) {
+    await redisClient.del(sessions);
+    await redisClient.del(`activeSessions:${accountId}`);
+  }
+};
+
+const getPaging = (query) => {
+  const page = Math.max(1, parseInt(query.page) || 1);
+  const limit = Math.min(100, Math.max(1, parseInt(query.limit) || 20));
+  return { page, limit };
+};
+
+// Case-insensitive "contains" match for free-text search
+const searchPattern = (text) =>
+  new RegExp(String(text).replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "i");
+
+// active = not suspended or deleted
+const statusFilter = (status) => {
+  if (status === "active") return { isDeleted: false, isSuspended: false };
+  if (status === "suspended") return { isDeleted: false, isSuspended: true };
+  if (status === "deleted") return { isDeleted: true };
+  return {};
+};
+
+// Search Users (?search=, ?status=active|suspended|deleted, paginated)
+router.get("/users", async (req, res) => {
+  const { search, status } = req.query;
+  const { page, limit } = getPaging(req.query);
+
+  try {
+    const query = statusFilter(status);
+    if (search) {
+      const pattern = searchPattern(search);
+      query.$or = [
+        { _id: search },
+        { firstName: pattern },
+        { lastName: pattern },
+        { email: pattern },
+        { "phone.number": pattern },
+      ];
+    }
+
+    const [users, total] = await Promise.all([
+      User.find(query)
+        .select("-password -pushToken")
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      User.countDocuments(query),
+    ]);
+
+    await recordAdminAction(req, {
+      action: "search_users",
+      targetType: "user",
+      details: { search, status, page },
+    });
+
+    res.json({
+      success: true,
+      message: "Users retrieved successfully",
+      data: { users, total, page, limit },
+    });
+  } catch (error) {
+    console.error("Error searching users:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to search users",
+      data: null,
+    });
+  }
+});
+
+// Search Vendors (?search=, ?status=, ?accountType=owner|helper, paginated)
+router.get("/vendors", async (req, res) => {
+  const { search, status, accountType } = req.query;
+  const { page, limit } = getPaging(req.query);
+
+  try {
+    const query = statusFilter(status);
+    if (accountType) query.accountType = accountType;
+    if (search) {
+      const pattern = searchPattern(search);
+      query.$or = [
+        { _id: search },
+        { fullName: pattern },
+        { email: pattern },
+        { businessName: pattern },
+        { "phoneNumber.number": pattern },
+        { joiningCode: search },
+      ];
+    }
+
+    const [vendors, total] = await Promise.all([
+      Vendor.find(query)
+        .select("-password -pushToken")
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Vendor.countDocuments(query),
+    ]);
+
+    await recordAdminAction(req, {
+      action: "search_vendors",
+      targetType: "vendor",
+      details: { search, status, accountType, page },
+    });
+
+    res.json({
+      success: true,
+      message: "Vendors retrieved successfully",
+      data: { vendors, total, page, limit },
+    });
+  } catch (error) {
+    console.error("Error searching vendors:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to search vendors",
+      data: null,
+    });
+  }
+});
+
+// Account Action (Suspend, Unsuspend, Restore a user or vendor)
+router.post(
+  "/account-action",
+  [
+    body("accountType")
+      .isIn(["user", "vendor"])
+      .withMessage("Invalid account type"),
+    body("accountId").isString().withMessage("Valid account ID is required"),
+    body("action")
+      .isIn(["suspend", "unsuspend", "restore"])
+      .withMessage("Invalid action"),
+    body("reason")
+      .if(body("action").equals("suspend"))
+      .notEmpty()
+      .withMessage("Reason is required to suspend an account"),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res
+        .status(400)
+        .json({ success: false, message: errors.array()[0].msg, data: null });
+    }
+
+    const { accountType, accountId, action, reason } = req.body;
+    const Model = accountType === "vendor" ? Vendor : User;
+
+    if (accountType === "user" && accountId === req.admin._id) {
+      return res.status(400).json({
+        success: false,
+        message: "Admins can't change their own account",
+        data: null,
+      });
+    }
+
+    const session = await Model.startSession();
+    session.startTransaction();
+
+    try {
+      const account = await Model.findById(accountId).session(session);
+      if (!account) {
+        throw new Error(
+          `${accountType === "vendor" ? "Vendor" : "User"} not found`
+        );
+      }
+
+      const before = {
+        isSuspended: account.isSuspended,
+        isDeleted: account.isDeleted,
+      };
+
+      switch (action) {
+        case "suspend":
+          if (account.isSuspended) {
+            throw new Error("Account is already suspended");
+          }
+          account.isSuspended = true;
+          break;
+
+        case "unsuspend":
+          if (!account.isSuspended) {
+            throw new Error("Account is not suspended");
+          }
+          account.isSuspended = false;
+          break;
+
+        case "restore":
+          if (!account.isDeleted) {
+            throw new Error("Account is not deleted");
+          }
+          account.isDeleted = false;
+          account.deleteReason = undefined;
+          break;
+      }
+
+      await account.save({ session });
+      await recordAdminAction(
+        req,
+        {
+          action: `${action}_${accountType}`,
+          targetType: accountType,
+          targetId: accountId,
+          reason,
+          details: {
+            before,
+            after: {
+              isSuspended: account.isSuspended,
+              isDeleted: account.isDeleted,
+            },
+          },
+        },
+        session
+      );
+
+      await session.commitTransaction();
+
+      // Suspended accounts lose their sessions straight away
+      if (action === "suspend") {
+        try {
+          await revokeSessions(accountId);
+        } catch (err) {
+          console.error("Session revocation failed:", err);
+        }
+      }
+
+      res.json({
+        success: true,
+        message: `Account ${action} performed successfully`,
+        data: {
+          accountType,
+          accountId,
+          isSuspended: account.isSuspended,
+          isDeleted: account.isDeleted,
+        },
+      });
+    } catch (error) {
+      await session.abortTransaction();
+      console.error(`Error performing account action ${action}:`, error);
+      res.status(error.code === 11000 ? 409 : 500).json({
+        success: false,
+        message:
+          error.code === 11000
+            ? "Another account now uses this email or phone"
+            : error.message || `Failed to perform account action ${action}`,
+        data: null,
+      });
+    } finally {
+      session.endSession();
+    }
+  }
+);
+
+// Support Tickets (?status=, ?accountType=, ?search= on subject/email, paginated)
+router.get("/support-tickets", async (req, res) => {
+  const { status, accountType, search } = req.query;
+  const { page, limit } = getPaging(req.query);
+
+  try {
+    const query = {};
+    if (status) query.status = status;
+    if (accountType) query.accountType = accountType;
+    if (search) {
+      const pattern = searchPattern(search);
+      query.$or = [{ subject: pattern }, { email: pattern }];
+    }
+
+    const [tickets, total] = await Promise.all([
+      SupportRequest.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      SupportRequest.countDocuments(query),
+    ]);
+
+    await recordAdminAction(req, {
+      action: "list_support_tickets",
+      targetType: "support_request",
+      details: { status, accountType, search, page },
+    });
+
+    res.json({
+      success: true,
+      message: "Support tickets retrieved successfully",
+      data: { tickets, total, page, limit },
+    });
+  } catch (error) {
+    console.error("Error retrieving support tickets:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve support tickets",
+      data: null,
+    });
+  }
+});
+
+// Support Ticket with the account that raised it
+router.get("/support-tickets/:id", async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const ticket = await SupportRequest.findById(id).lean();
+    if (!ticket) {
+      return res.status(404).json({
+        success: false,
+        message: "Support ticket not found",
+        data: null,
+      });
+    }
+
+    const account =
+      ticket.accountType === "vendor"
+        ? await Vendor.findById(ticket.createdBy)
+            .select(
+              "fullName email phoneNumber businessName accountType isSuspended isDeleted"
+            )
+            .lean()
+        : await User.findById(ticket.createdBy)
+            .select("firstName lastName email phone isSuspended isDeleted")
+            .lean();
+
+    await recordAdminAction(req, {
+      action: "view_support_ticket",
+      targetType: "support_request",
+      targetId: id,
+    });
+
+    res.json({
+      success: true,
+      message: "Support ticket retrieved successfully",
+      data: { ticket, account },
+    });
+  } catch (error) {
+    console.error("Error retrieving support ticket:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve support ticket",
+      data: null,
+    });
+  }
+});
+
+// Change a Support Ticket's Status (open, in_progress, closed)
+router.post(
+  "/support-tickets/status",
+  [
+    body("ticketId").isString().withMessage("Valid ticket ID is required"),
+    body("status")
+      .isIn(["open", "in_progress", "closed"])
+      .withMessage("Invalid status"),
+    body("note").optional().isString().withMessage("Note must be a string"),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res
+        .status(400)
+        .json({ success: false, message: errors.array()[0].msg, data: null });
+    }
+
+    const { ticketId, status, note } = req.body;
+
+    const session = await SupportRequest.startSession();
+    session.startTransaction();
+
+    try {
+      const ticket = await SupportRequest.findById(ticketId).session(session);
+      if (!ticket) {
+        throw new Error("Support ticket not found");
+      }
+
+      const previousStatus = ticket.status;
+      if (!TICKET_TRANSITIONS[previousStatus].includes(status)) {
+        throw new Error(
+          `Can't move a ticket from ${previousStatus} to ${status}`
+        );
+      }
+
+      ticket.status = status;
+      await ticket.save({ session });
+      await recordAdminAction(
+        req,
+        {
+          action: "ticket_status",
+          targetType: "support_request",
+          targetId: ticketId,
+          reason: note,
+          details: { from: previousStatus, to: status },
+        },
+        session
+      );
+
+      await session.commitTransaction();
+      res.json({
+        success: true,
+        message: "Support ticket updated successfully",
+        data: ticket,
+      });
+    } catch (error) {
+      await session.abortTransaction();
+      console.error("Error updating support ticket:", error);
+      res.status(500).json({
+        success: false,
+        message: error.message || "Failed to update support ticket",
+        data: null,
+      });
+    } finally {
+      session.endSession();
+    }
+  }
+);
+
+// Reply to a Support Ticket as staff (multipart, optional "attachments").
+// Moves an open ticket to in_progress unless another status is given.
+router.post(
+  "/support-tickets/reply",
+  [
+    receiveAttachments,
+    body("ticketId").isString().withMessage("Valid ticket ID is required"),
+    body("message").notEmpty().withMessage("Message is required"),
+    body("status")
+      .optional()
+      .isIn(["open", "in_progress", "closed"])
+      .withMessage("Invalid status"),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res
+        .status(400)
+        .json({ success: false, message: errors.array()[0].msg, data: null });
+    }
+
+    const { ticketId, message, status } = req.body;
+
+    const session = await SupportRequest.startSession();
+    session.startTransaction();
+
+    try {
+      const ticket = await SupportRequest.findById(ticketId).session(session);
+      if (!ticket) {
+        throw new Error("Support ticket not found");
+      }
+
+      const previousStatus = ticket.status;
+      const nextStatus =
+        status || (previousStatus === "open" ? "in_progress" : previousStatus);
+      if (
+        nextStatus !== previousStatus &&
+        !TICKET_TRANSITIONS[previousStatus].includes(nextStatus)
+      ) {
+        throw new Error(
+          `Can't move a ticket from ${previousStatus} to ${nextStatus}`
+        );
+      }
+
+      const reply = {
+        authorType: "staff",
+        authorId: req.admin._id,
+        message,
+        attachments: await uploadAttachments(req.files),
+      };
+      addTicketMessage(ticket, reply);
+      ticket.status = nextStatus;
+      await ticket.save({ session });
+      await recordAdminAction(
+        req,
+        {
+          action: "ticket_reply",
+          targetType: "support_request",
+          targetId: ticketId,
+          details: {
+            messageId: ticket.messages[ticket.messages.length - 1]._id,
+            from: previousStatus,
+            to: nextStatus,
+          },
+        },
+        session
+      );
+
+      await session.commitTransaction();
+
+      await notifyRequesterOfReply(ticket, reply);
+
+      res.json({
+        success: true,
+        message: "Reply sent successfully",
+        data: ticket,
+      });
+    } catch (error) {
+      await session.abortTransaction();
+      console.error("Error replying to support ticket:", error);
+      res.status(500).json({
+        success: false,
+        message: error.message || "Failed to send reply",
+        data: null,
+      });
+    } finally {
+      session.endSession();
+    }
+  }
+);
+
+// Inspect a Vendor's Live Queue (a business, or a single helper's queue)
+router.get("/vendors/:id/queue", async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const vendor = await Vendor.findById(id)
+      .select(
+        "fullName businessName accountType active isSuspended isDeleted helperJointBusiness"
+      )
+      .lean();
+    if (!vendor) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Vendor not found", data: null });
+    }
+
+    const queues = await Queue.find({
+      ...(vendor.accountType === "helper"
+        ? { helperId: id }
+        : { vendorId: id }),
+      status: { $in: ACTIVE_STATUSES },
+    })
+      .populate("serviceId", "name duration rate")
+      .populate("userId", "firstName lastName phone")
+      .populate("manualUserId", "name phone")
+      .populate("helperId", "fullName")
+      .sort({ helperId: 1, currentPosition: 1, joiningTime: 1 })
+      .lean();
+
+    await recordAdminAction(req, {
+      action: "inspect_queue",
+      targetType: "queue",
+      targetId: id,
+      details: { entries: queues.length },
+    });
+
+    res.json({
+      success: true,
+      message: "Queue retrieved successfully",
+      data: {
+        vendor,
+        totalInQueue: queues.filter((q) => q.status === "in_queue").length,
+        totalInService: queues.filter((q) => q.status === "in_service").length,
+        totalHold: queues.filter((q) => q.status === "hold").length,
+        totalSkipped: queues.filter((q) => q.status === "skipped").length,
+        queues,
+      },
+    });
+  } catch (error) {
+    console.error("Error inspecting queue:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve queue",
+      data: null,
+    });
+  }
+});
+
+const couponValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field("discountType")
+      .isIn(["percentage", "flat"])
+      .withMessage("Discount type must be percentage or flat"),
+    field("value")
+      .isFloat({ min: 0 })
+      .withMessage("Discount value must be zero or more"),
+    body("maxDiscount")
+      .optional({ values: "null" })
+      .isFloat({ min: 0 })
+      .withMessage("Max discount must be zero or more"),
+    body("description")
+      .optional()
+      .isString()
+      .withMessage("Description must be a string"),
+    body("planTypes")
+      .optional()
+      .isArray({ min: 1 })
+      .withMessage("Plan types must be a non-empty array"),
+    body("planTypes.*")
+      .isIn(["monthly", "yearly"])
+      .withMessage("Each plan type must be monthly or yearly"),
+    body("validFrom")
+      .optional()
+      .isISO8601()
+      .withMessage("Valid from must be a date"),
+    body("validUntil")
+      .optional({ values: "null" })
+      .isISO8601()
+      .withMessage("Valid until must be a date"),
+    body("maxUses")
+      .optional({ values: "null" })
+      .isInt({ min: 1 })
+      .withMessage("Max uses must be a positive integer"),
+    body("maxUsesPerVendor")
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage("Max uses per vendor must be a positive integer"),
+    body("firstTimeOnly")
+      .optional()
+      .isBoolean()
+      .withMessage("First time only must be a boolean"),
+    body("active")
+      .optional()
+      .isBoolean()
+      .withMessage("Active must be a boolean"),
+  ];
+};
+
+const COUPON_FIELDS = [
+  "description",
+  "discountType",
+  "value",
+  "maxDiscount",
+  "planTypes",
+  "validFrom",
+  "validUntil",
+  "maxUses",
+  "maxUsesPerVendor",
+  "firstTimeOnly",
+  "active",
+];
+
+// Whether a coupon's settings make sense together; an error message or null
+const checkCoupon = (coupon) => {
+  if (coupon.discountType === "percentage" && coupon.value > 100) {
+    return "Percentage discount can't be more than 100";
+  }
+  if (coupon.validUntil && coupon.validUntil <= coupon.validFrom) {
+    return "Valid until must be after valid from";
+  }
+  return null;
+};
+
+// Coupons (?active=true|false, ?search= on code, paginated)
+router.get("/coupons", async (req, res) => {
+  const { active, search } = req.query;
+  const { page, limit } = getPaging(req.query);
+
+  try {
+    const query = {};
+    if (active !== undefined) query.active = active === "true";
+    if (search) query.code = searchPattern(search);
+
+    const [coupons, total] = await Promise.all([
+      Coupon.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Coupon.countDocuments(query),
+    ]);
+
+    await recordAdminAction(req, {
+      action: "list_coupons",
+      targetType: "coupon",
+      details: { active, search, page },
+    });
+
+    res.json({
+      success: true,
+      message: "Coupons retrieved successfully",
+      data: { coupons, total, page, limit },
+    });
+  } catch (error) {
+    console.error("Error retrieving coupons:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve coupons",
+      data: null,
+    });
+  }
+});
+
+// Create a Coupon
+router.post(
+  "/coupons",
+  [
+    body("code")
+      .isString()
+      .trim()
+      .matches(/^[A-Za-z0-9_-]{3,32}$/)
+      .withMessage("Code must be 3-32 letters, digits, - or _"),
+    ...couponValidators(false),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res
+        .status(400)
+        .json({ success: false, message: errors.array()[0].msg, data: null });
+    }
+
+    try {
+      const coupon = new Coupon({
+        code: normalizeCode(req.body.code),
+        createdBy: req.admin._id,
+      });
+      COUPON_FIELDS.forEach((field) => {
+        if (req.body[field] !== undefined) coupon[field] = req.body[field];
+      });
+
+      const invalid = checkCoupon(coupon);
+      if (invalid) {
+        return res
+          .status(400)
+          .json({ success: false, message: invalid, data: null });
+      }
+
+      await coupon.save();
+      await recordAdminAction(req, {
+        action: "create_coupon",
+        targetType: "coupon",
+        targetId: coupon._id,
+        details: { code: coupon.code },
+      });
+
+      res.status(201).json({
+        success: true,
+        message: "Coupon created successfully",
+        data: coupon,
+      });
+    } catch (error) {
+      console.error("Error creating coupon:", error);
+      res.status(error.code === 11000 ? 409 : 500).json({
+        success: false,
+        message:
+          error.code === 11000
+            ? "A coupon with this code already exists"
+            : "Failed to create coupon",
+        data: null,
+      });
+    }
+  }
+);
+
+// Update a Coupon (deactivate with active: false; the code can't change)
+router.put("/coupons/:id", couponValidators(true), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res
+      .status(400)
+      .json({ success: false, message: errors.array()[0].msg, data: null });
+  }
+
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Coupon not found", data: null });
+    }
+
+    const before = {};
+    const after = {};
+    COUPON_FIELDS.forEach((field) => {
+      if (req.body[field] === undefined) return;
+      before[field] = coupon[field];
+      coupon[field] = req.body[field];
+      after[field] = coupon[field];
+    });
+
+    const invalid = checkCoupon(coupon);
+    if (invalid) {
+      return res
+        .status(400)
+        .json({ success: false, message: invalid, data: null });
+    }
+
+    await coupon.save();
+    await recordAdminAction(req, {
+      action: "update_coupon",
+      targetType: "coupon",
+      targetId: coupon._id,
+      details: { code: coupon.code, before, after },
+    });
+
+    res.json({
+      success: true,
+      message: "Coupon updated successfully",
+      data: coupon,
+    });
+  } catch (error) {
+    console.error("Error updating coupon:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update coupon",
+      data: null,
+    });
+  }
+});
+
+// Set a Plan's Price (applies to orders created from now on)
+router.put(
+  "/plan-prices/:planType",
+  [body("price").isFloat({ min: 1 }).withMessage("Price must be at least 1")],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res
+        .status(400)
+        .json({ success: false, message: errors.array()[0].msg, data: null });
+    }
+
+    const { planType } = req.params;
+    if (!DEFAULT_PLAN_PRICES[planType]) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Plan not found", data: null });
+    }
+
+    try {
+      const previous = await PlanPrice.findById(planType).lean();
+      const price = Math.round(Number(req.body.price) * 100) / 100;
+      const planPrice = await PlanPrice.findByIdAndUpdate(
+        planType,
+        { price, updatedBy: req.admin._id },
+        { new: true, upsert: true, runValidators: true }
+      );
+
+      await recordAdminAction(req, {
+        action: "set_plan_price",
+        targetType: "plan_price",
+        targetId: planType,
+        details: {
+          from: previous?.price ?? DEFAULT_PLAN_PRICES[planType],
+          to: price,
+        },
+      });
+
+      res.json({
+        success: true,
+        message: "Plan price updated successfully",
+        data: planPrice,
+      });
+    } catch (error) {
+      console.error("Error updating plan price:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to update plan price",
+        data: null,
+      });
+    }
+  }
+);
+
+// Audit Log (?adminId=, ?targetId=, ?action=, paginated, newest first)
+router.get("/audit-log", async (req, res) => {
+  const { adminId, targetId, action } = req.query;
+  const { page, limit } = getPaging(req.query);
+
+  try {
+    const query = {};
+    if (adminId) query.adminId = adminId;
+    if (targetId) query.targetId = targetId;
+    if (action) query.action = action;
+
+    const [entries, total] = await Promise.all([
+      AdminAuditLog.find(query)
+        .populate("adminId", "firstName lastName email")
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      AdminAuditLog.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      message: "Audit log retrieved successfully",
+      data: { entries, total, page, limit },
+    });
+  } catch (error) {
+    console.error("Error retrieving audit log:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve audit log",
+      data: null,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,278 @@
+const express = require("express");
+const router = express.Router();
+const { body, validationResult } = require("express-validator");
+const verifyUser = require("../middlewares/verifyUser");
+const requireFeature = require("../middlewares/requireFeature");
+const Vendor = require("../models/Vendor");
+const {
+  getBusinessAnalytics,
+  getHelperPerformance,
+} = require("../utils/queueAnalytics");
+
+const MAX_RANGE_DAYS = 366;
+
+// Start/end of a requested range, or an error message
+const parseRange = (startTime, endTime) => {
+  const start = new Date(startTime);
+  const end = new Date(endTime);
+  if (end <= start) return { error: "End time must be after start time" };
+  if (end - start > MAX_RANGE_DAYS * 24 * 60 * 60 * 1000) {
+    return { error: `Range can't be longer than ${MAX_RANGE_DAYS} days` };
+  }
+  return { start, end };
+};
+
+// Business Analytics Dashboard (Owner only)
+router.post(
+  "/business",
+  verifyUser,
+  requireFeature("analytics"),
+  [
+    body("vendorId").isString().withMessage("Valid vendor ID is required"),
+    body("startTime").isISO8601().withMessage("Valid start time is required"),
+    body("endTime").isISO8601().withMessage("Valid end time is required"),
+    body("helperId").optional().isString().withMessage("Invalid helper ID"),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res
+        .status(400)
+        .json({ success: false, message: errors.array()[0].msg, data: null });
+    }
+
+    const { vendorId, startTime, endTime, helperId } = req.body;
+    const { start, end, error } = parseRange(startTime, endTime);
+    if (error) {
+      return res
+        .status(400)
+        .json({ success: false, message: error, data: null });
+    }
+
+    try {
+      const vendor = await Vendor.findById(vendorId).lean();
+      if (!vendor || vendor.isDeleted || vendor.isSuspended) {
+        return res.status(403).json({
+          success: false,
+          message: "Vendor not found or inactive",
+          data: null,
+        });
+      }
+
+      if (vendor.accountType !== "owner" || vendor._id !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          message: "Only the business owner can view analytics",
+          data: null,
+        });
+      }
+
+      const analytics = await getBusinessAnalytics({
+        vendorId,
+        helperId,
+        start,
+        end,
+      });
+
+      res.json({
+        success: true,
+        message: "Business analytics retrieved successfully",
+        data: analytics,
+      });
+    } catch (error) {
+      console.error("Error retrieving business analytics:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to retrieve business analytics",
+        data: null,
+      });
+    }
+  }
+);
+
+// Helper Performance and Earnings (Owner, for a connected helper). With
+// commissionPercent, the helper's share of the revenue is worked out too.
+router.post(
+  "/helper-performance",
+  verifyUser,
+  requireFeature("analytics"),
+  [
+    body("vendorId").isString().withMessage("Valid vendor ID is required"),
+    body("helperId").isString().withMessage("Valid helper ID is required"),
+    body("startTime").isISO8601().withMessage("Valid start time is required"),
+    body("endTime").isISO8601().withMessage("Valid end time is required"),
+    body("commissionPercent")
+      .optional()
+      .isFloat({ min: 0, max: 100 })
+      .withMessage("Commission must be between 0 and 100 percent"),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res
+        .status(400)
+        .json({ success: false, message: errors.array()[0].msg, data: null });
+    }
+
+    const { vendorId, helperId, startTime, endTime, commissionPercent } =
+      req.body;
+    const { start, end, error } = parseRange(startTime, endTime);
+    if (error) {
+      return res
+        .status(400)
+        .json({ success: false, message: error, data: null });
+    }
+
+    try {
+      const vendor = await Vendor.findById(vendorId).lean();
+      if (!vendor || vendor.isDeleted || vendor.isSuspended) {
+        return res.status(403).json({
+          success: false,
+          message: "Vendor not found or inactive",
+          data: null,
+        });
+      }
+
+      if (vendor.accountType !== "owner" || vendor._id !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          message: "Only the business owner can view helper performance",
+          data: null,
+        });
+      }
+
+      // Current and former helpers, so past periods can still be settled
+      const connection = (vendor.connectedHelpers || []).find(
+        (ch) =>
+          ch.helperId === helperId &&
+          ["accepted", "removed"].includes(ch.status)
+      );
+      if (!connection) {
+        return res.status(404).json({
+          success: false,
+          message: "Helper is not connected to this business",
+          data: null,
+        });
+      }
+
+      const helper = await Vendor.findById(helperId)
+        .select("fullName avatar")
+        .lean();
+      const performance = await getHelperPerformance({
+        vendor,
+        helperId,
+        joinedAt: connection.joiningAcceptedDate,
+        start,
+        end,
+      });
+
+      if (commissionPercent !== undefined) {
+        performance.earnings = {
+          commissionPercent: Number(commissionPercent),
+          commission:
+            Math.round(
+              performance.summary.revenue * Number(commissionPercent)
+            ) / 100,
+        };
+      }
+
+      res.json({
+        success: true,
+        message: "Helper performance retrieved successfully",
+        data: {
+          helper: { ...helper, connectionStatus: connection.status },
+          ...performance,
+        },
+      });
+    } catch (error) {
+      console.error("Error retrieving helper performance:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to retrieve helper performance",
+        data: null,
+      });
+    }
+  }
+);
+
+// My Performance (Helper, for the business they work at)
+router.post(
+  "/my-performance",
+  verifyUser,
+  requireFeature("analytics"),
+  [
+    body("startTime").isISO8601().withMessage("Valid start time is required"),
+    body("endTime").isISO8601().withMessage("Valid end time is required"),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res
+        .status(400)
+        .json({ success: false, message: errors.array()[0].msg, data: null });
+    }
+
+    const { startTime, endTime } = req.body;
+    const helperId = req.user.id;
+    const { start, end, error } = parseRange(startTime, endTime);
+    if (error) {
+      return res
+        .status(400)
+        .json({ success: false, message: error, data: null });
+    }
+
+    try {
+      const helper = await Vendor.findOne({
+        _id: helperId,
+        accountType: "helper",
+        isDeleted: false,
+        isSuspended: false,
+      }).lean();
+      if (!helper || !helper.helperJointBusiness) {
+        return res.status(403).json({
+          success: false,
+          message: "Only helpers connected to a business can view this report",
+          data: null,
+        });
+      }
+
+      const vendor = await Vendor.findById(helper.helperJointBusiness).lean();
+      const connection = vendor?.connectedHelpers?.find(
+        (ch) => ch.helperId === helperId && ch.status === "accepted"
+      );
+      if (!connection) {
+        return res.status(403).json({
+          success: false,
+          message: "Helper is not connected to this business",
+          data: null,
+        });
+      }
+
+      const performance = await getHelperPerformance({
+        vendor,
+        helperId,
+        joinedAt: connection.joiningAcceptedDate,
+        start,
+        end,
+      });
+
+      res.json({
+        success: true,
+        message: "Performance retrieved successfully",
+        data: {
+          business: { vendorId: vendor._id, businessName: vendor.businessName },
+          ...performance,
+        },
+      });
+    } catch (error) {
+      console.error("Error retrieving helper's own performance:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to retrieve performance",
+        data: null,
+      });
+    }
+  }
+);
+
+module.exports = router;
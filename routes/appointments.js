@@ -0,0 +1,512 @@
+const express = require("express");
+const router = express.Router();
+const { body, validationResult } = require("express-validator");
+const verifyUser = require("../middlewares/verifyUser");
+const Vendor = require("../models/Vendor");
+const RateCard = require("../models/RateCard");
+const User = require("../models/User");
+const Queue = require("../models/Queue");
+const Appointment = require("../models/Appointment");
+const {
+  RESERVED_STATUSES,
+  hasAppointmentConflict,
+} = require("../utils/appointments");
+const {
+  getDayHours,
+  isWithinWorkingHours,
+} = require("../utils/workingHours");
+const { emitQueueUpdate } = require("../utils/socket");
+const { evaluateProximityAlerts } = require("../utils/proximityAlerts");
+const {
+  removeEntry,
+  closePositionGap,
+} = require("../utils/queueTransitions");
+const {
+  markRefundDue,
+  refundQueuePayment,
+} = require("../utils/queuePayments");
+
+const SLOT_INTERVAL_MINUTES = 15;
+
+// Accepted helpers of the business that offer this service
+const getCapableHelpers = (vendor, serviceId) =>
+  vendor.connectedHelpers.filter(
+    (ch) =>
+      ch.status === "accepted" && ch.associatedServices.includes(serviceId)
+  );
+
+// Pick the helper for a slot: the requested one for SPECIFIC, else the first free
+const resolveHelper = async ({
+  vendor,
+  serviceId,
+  preference,
+  helperId,
+  start,
+  end,
+  excludeId,
+  session,
+}) => {
+  const capableHelpers = getCapableHelpers(vendor, serviceId);
+
+  if (preference === "SPECIFIC") {
+    if (!capableHelpers.some((ch) => ch.helperId === helperId)) {
+      throw new Error(`Helper ${helperId} is not available for this service`);
+    }
+    if (
+      await hasAppointmentConflict(helperId, start, end, {
+        excludeId,
+        session,
+      })
+    ) {
+      throw new Error("Selected slot is no longer available");
+    }
+    return helperId;
+  }
+
+  for (const helper of capableHelpers) {
+    if (
+      !(await hasAppointmentConflict(helper.helperId, start, end, {
+        excludeId,
+        session,
+      }))
+    ) {
+      return helper.helperId;
+    }
+  }
+  throw new Error("Selected slot is no longer available");
+};
+
+// List Available Slots for a Service on a Date
+router.post(
+  "/list-slots",
+  [
+    body("vendorId").isString().withMessage("Valid vendor ID is required"),
+    body("serviceId").isString().withMessage("Valid service ID is required"),
+    body("date").isISO8601().withMessage("Valid date is required"),
+    body("helperId").optional().isString().withMessage("Invalid helper ID"),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res
+        .status(400)
+        .json({ success: false, message: errors.array()[0].msg, data: null });
+    }
+
+    const { vendorId, serviceId, date, helperId } = req.body;
+
+    try {
+      const vendor = await Vendor.findOne({
+        _id: vendorId,
+        accountType: "owner",
+        isDeleted: false,
+        isSuspended: false,
+      }).lean();
+      if (!vendor) {
+        return res.status(400).json({
+          success: false,
+          message: "Vendor is not an active owner or not found",
+          data: null,
+        });
+      }
+
+      const service = await RateCard.findOne({
+        _id: serviceId,
+        isDeleted: false,
+        createdBy: vendorId,
+      }).lean();
+      if (!service) {
+        return res.status(400).json({
+          success: false,
+          message: "Service is invalid or not found",
+          data: null,
+        });
+      }
+
+      const helpers = getCapableHelpers(vendor, serviceId).filter(
+        (ch) => !helperId || ch.helperId === helperId
+      );
+      if (helpers.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: "No helpers available for this service",
+          data: null,
+        });
+      }
+
+      const { isClosed, openAt, closeAt } = getDayHours(vendor, new Date(date));
+      if (isClosed) {
+        return res.json({
+          success: true,
+          message: "Business is closed on this date",
+          data: { vendorId, serviceId, date, isClosed: true, slots: [] },
+        });
+      }
+
+      const helperIds = helpers.map((h) => h.helperId);
+      const appointments = await Appointment.find({
+        helperId: { $in: helperIds },
+        status: { $in: RESERVED_STATUSES },
+        scheduledStart: { $lt: closeAt },
+        scheduledEnd: { $gt: openAt },
+      })
+        .select("helperId scheduledStart scheduledEnd")
+        .lean();
+
+      const now = new Date();
+      const slots = [];
+      for (
+        let start = openAt.getTime();
+        start + service.duration * 60 * 1000 <= closeAt.getTime();
+        start += SLOT_INTERVAL_MINUTES * 60 * 1000
+      ) {
+        const startTime = new Date(start);
+        const endTime = new Date(start + service.duration * 60 * 1000);
+        if (startTime < now) continue;
+
+        const availableHelperIds = helperIds.filter(
+          (id) =>
+            !appointments.some(
+              (a) =>
+                a.helperId === id &&
+                a.scheduledStart < endTime &&
+                a.scheduledEnd > startTime
+            )
+        );
+
+        if (availableHelperIds.length > 0) {
+          slots.push({ startTime, endTime, helperIds: availableHelperIds });
+        }
+      }
+
+      res.json({
+        success: true,
+        message: "Available slots retrieved successfully",
+        data: { vendorId, serviceId, date, isClosed: false, slots },
+      });
+    } catch (error) {
+      console.error("Error listing appointment slots:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to list appointment slots",
+        data: null,
+      });
+    }
+  }
+);
+
+// Book Appointment (Normal users)
+router.post(
+  "/book",
+  verifyUser,
+  [
+    body("vendorId").isString().withMessage("Valid vendor ID is required"),
+    body("serviceId").isString().withMessage("Valid service ID is required"),
+    body("gender")
+      .isIn(["male", "female", "child"])
+      .withMessage("Invalid gender"),
+    body("preference")
+      .isIn(["ANY", "SPECIFIC"])
+      .withMessage("Preference must be ANY or SPECIFIC"),
+    body("helperId")
+      .if(body("preference").equals("SPECIFIC"))
+      .isString()
+      .withMessage("Valid helper ID required for SPECIFIC preference"),
+    body("startTime").isISO8601().withMessage("Valid start time is required"),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res
+        .status(400)
+        .json({ success: false, message: errors.array()[0].msg, data: null });
+    }
+
+    const { vendorId, serviceId, gender, preference, helperId, startTime } =
+      req.body;
+    const userId = req.user.id;
+
+    const session = await Appointment.startSession();
+    session.startTransaction();
+
+    try {
+      const user = await User.findOne({
+        _id: userId,
+        isDeleted: false,
+        isSuspended: false,
+      }).session(session);
+      if (!user) {
+        throw new Error("User is not active or not found");
+      }
+
+      const vendor = await Vendor.findOne({
+        _id: vendorId,
+        accountType: "owner",
+        isDeleted: false,
+        isSuspended: false,
+      }).session(session);
+      if (!vendor) {
+        throw new Error("Vendor is not an active owner or not found");
+      }
+
+      const service = await RateCard.findOne({
+        _id: serviceId,
+        isDeleted: false,
+        createdBy: vendorId,
+      }).session(session);
+      if (!service) {
+        throw new Error(`Service ${serviceId} is invalid or not found`);
+      }
+
+      const start = new Date(startTime);
+      const end = new Date(start.getTime() + service.duration * 60 * 1000);
+      if (start <= new Date()) {
+        throw new Error("Appointment must be booked for a future time");
+      }
+      if (!isWithinWorkingHours(vendor, start, end)) {
+        throw new Error("Selected slot is outside working hours");
+      }
+
+      const assignedHelperId = await resolveHelper({
+        vendor,
+        serviceId,
+        preference,
+        helperId,
+        start,
+        end,
+        session,
+      });
+
+      const appointment = new Appointment({
+        userId,
+        vendorId,
+        helperId: assignedHelperId,
+        serviceId,
+        preference,
+        gender,
+        scheduledStart: start,
+        scheduledEnd: end,
+        duration: service.duration,
+        total: service.rate,
+      });
+      await appointment.save({ session });
+      await session.commitTransaction();
+
+      res.status(201).json({
+        success: true,
+        message: "Appointment booked successfully",
+        data: appointment,
+      });
+    } catch (error) {
+      await session.abortTransaction();
+      console.error("Error booking appointment:", error);
+      res.status(500).json({
+        success: false,
+        message: error.message || "Failed to book appointment",
+        data: null,
+      });
+    } finally {
+      session.endSession();
+    }
+  }
+);
+
+// Reschedule Appointment (Booking user only, before it joins the queue)
+router.post(
+  "/reschedule",
+  verifyUser,
+  [
+    body("appointmentId")
+      .isString()
+      .withMessage("Valid appointment ID is required"),
+    body("startTime").isISO8601().withMessage("Valid start time is required"),
+    body("helperId").optional().isString().withMessage("Invalid helper ID"),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res
+        .status(400)
+        .json({ success: false, message: errors.array()[0].msg, data: null });
+    }
+
+    const { appointmentId, startTime, helperId } = req.body;
+    const userId = req.user.id;
+
+    const session = await Appointment.startSession();
+    session.startTransaction();
+
+    let appointment;
+    let queue = null;
+    let moved = [];
+    let refundDue = false;
+    try {
+      appointment = await Appointment.findById(appointmentId).session(session);
+      if (!appointment || appointment.userId !== userId) {
+        throw new Error("Appointment not found");
+      }
+      if (appointment.status !== "booked") {
+        throw new Error("Only upcoming appointments can be rescheduled");
+      }
+
+      const vendor = await Vendor.findOne({
+        _id: appointment.vendorId,
+        accountType: "owner",
+        isDeleted: false,
+        isSuspended: false,
+      }).session(session);
+      if (!vendor) {
+        throw new Error("Vendor is not an active owner or not found");
+      }
+
+      const start = new Date(startTime);
+      const end = new Date(start.getTime() + appointment.duration * 60 * 1000);
+      if (start <= new Date()) {
+        throw new Error("Appointment must be rescheduled to a future time");
+      }
+      if (!isWithinWorkingHours(vendor, start, end)) {
+        throw new Error("Selected slot is outside working hours");
+      }
+
+      const preference = helperId ? "SPECIFIC" : appointment.preference;
+      appointment.helperId = await resolveHelper({
+        vendor,
+        serviceId: appointment.serviceId,
+        preference,
+        helperId: helperId || appointment.helperId,
+        start,
+        end,
+        excludeId: appointment._id,
+        session,
+      });
+      appointment.preference = preference;
+      appointment.scheduledStart = start;
+      appointment.scheduledEnd = end;
+      appointment.rescheduleCount += 1;
+
+      await appointment.save({ session });
+      await session.commitTransaction();
+
+      res.json({
+        success: true,
+        message: "Appointment rescheduled successfully",
+        data: appointment,
+      });
+    } catch (error) {
+      await session.abortTransaction();
+      console.error("Error rescheduling appointment:", error);
+      res.status(500).json({
+        success: false,
+        message: error.message || "Failed to reschedule appointment",
+        data: null,
+      });
+    } finally {
+      session.endSession();
+    }
+  }
+);
+
+// Cancel Appointment (Booking user, owner or connected helper)
+router.post(
+  "/cancel",
+  verifyUser,
+  [
+    body("appointmentId")
+      .isString()
+      .withMessage("Valid appointment ID is required"),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res
+        .status(400)
+        .json({ success: false, message: errors.array()[0].msg, data: null });
+    }
+
+    const { appointmentId } = req.body;
+    const userId = req.user.id;
+
+    const session = await Appointment.startSession();
+    session.startTransaction();
+
+    try {
+      const appointment = await Appointment.findById(appointmentId).session(
+        session
+      );
+      if (!appointment) {
+        throw new Error("Appointment not found");
+      }
+      if (appointment.status === "cancelled") {
+        throw new Error("Appointment is already cancelled");
+      }
+
+      const vendor = await Vendor.findById(appointment.vendorId).session(
+        session
+      );
+      const isUser = appointment.userId === userId;
+      const isVendor =
+        vendor &&
+        (vendor._id === userId ||
+          vendor.connectedHelpers.some(
+            (ch) => ch.helperId === userId && ch.status === "accepted"
+          ));
+      if (!isUser && !isVendor) {
+        throw new Error("Unauthorized to cancel this appointment");
+      }
+
+      const source = isUser ? "user" : "vendor";
+
+      // Already merged: take the live queue entry out as well
+      if (appointment.status === "merged" && appointment.queueId) {
+        queue = await Queue.findById(appointment.queueId).session(session);
+        if (queue && ["completed", "removed"].includes(queue.status)) {
+          throw new Error("Appointment has already been served or removed");
+        }
+        if (queue?.status === "in_service") {
+          throw new Error("Appointment is already being served");
+        }
+        if (queue) {
+          removeEntry(queue, source);
+          refundDue = source === "vendor" && markRefundDue(queue);
+          await queue.save({ session });
+          moved = await closePositionGap(vendor, queue, session);
+        }
+      }
+
+      appointment.status = "cancelled";
+      appointment.cancelledBy = source;
+      await appointment.save({ session });
+      await session.commitTransaction();
+    } catch (error) {
+      await session.abortTransaction();
+      console.error("Error cancelling appointment:", error);
+      return res.status(500).json({
+        success: false,
+        message: error.message || "Failed to cancel appointment",
+        data: null,
+      });
+    } finally {
+      session.endSession();
+    }
+
+    // The cancellation is committed; a failure from here on is only logged
+    try {
+      if (queue) {
+        emitQueueUpdate(queue, "remove");
+        moved.forEach((entry) => emitQueueUpdate(entry, "remove"));
+        await evaluateProximityAlerts(moved);
+      }
+      if (refundDue) await refundQueuePayment(queue._id);
+    } catch (error) {
+      console.error("Error after cancelling appointment:", error);
+    }
+
+    res.json({
+      success: true,
+      message: "Appointment cancelled successfully",
+      data: appointment,
+    });
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,295 @@
+const express = require("express");
+const router = express.Router();
+const { body, query, validationResult } = require("express-validator");
+const verifyUser = require("../middlewares/verifyUser");
+const Vendor = require("../models/Vendor");
+const Queue = require("../models/Queue");
+const Invoice = require("../models/Invoice");
+const {
+  billingValidators,
+  createInvoice,
+  verifyReceiptToken,
+  getReceiptUrl,
+  streamReceipt,
+} = require("../utils/billing");
+
+const isOwner = (vendor, userId) =>
+  vendor.accountType === "owner" && vendor._id === userId;
+
+const isHelper = (vendor, userId) =>
+  vendor.accountType === "owner" &&
+  (vendor.connectedHelpers || []).some(
+    (h) => h.helperId === userId && h.status === "accepted"
+  );
+
+// Invoice visible to the caller (business staff or the billed customer),
+// with its vendor, or null
+const findAccessibleInvoice = async (id, userId) => {
+  const invoice = await Invoice.findById(id).lean();
+  if (!invoice) return null;
+
+  const vendor = await Vendor.findById(invoice.vendorId).lean();
+  if (!vendor) return null;
+
+  const allowed =
+    invoice.userId === userId ||
+    isOwner(vendor, userId) ||
+    isHelper(vendor, userId);
+  return allowed ? { invoice, vendor } : null;
+};
+
+// Bill a Completed Queue Entry (Owner or helper), for entries completed
+// without billing at `next`
+router.post(
+  "/invoices",
+  verifyUser,
+  [
+    body("queueId").isString().withMessage("Valid queue ID is required"),
+    ...billingValidators(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res
+        .status(400)
+        .json({ success: false, message: errors.array()[0].msg, data: null });
+    }
+
+    const { queueId } = req.body;
+    const userId = req.user.id;
+
+    const session = await Queue.startSession();
+    session.startTransaction();
+
+    try {
+      const queue = await Queue.findById(queueId)
+        .populate("serviceId")
+        .session(session);
+      if (!queue) {
+        throw new Error("Queue entry not found");
+      }
+
+      const vendor = await Vendor.findById(queue.vendorId).session(session);
+      if (!vendor || vendor.isDeleted || vendor.isSuspended) {
+        throw new Error("Vendor not found or inactive");
+      }
+      if (!isOwner(vendor, userId) && !isHelper(vendor, userId)) {
+        throw new Error("Unauthorized to bill this queue entry");
+      }
+
+      const invoice = await createInvoice(
+        vendor,
+        queue,
+        req.body,
+        userId,
+        session
+      );
+      await queue.save({ session });
+
+      await session.commitTransaction();
+
+      res.status(201).json({
+        success: true,
+        message: "Invoice created successfully",
+        data: {
+          ...invoice.toObject(),
+          receiptUrl: getReceiptUrl(req, invoice),
+        },
+      });
+    } catch (error) {
+      await session.abortTransaction();
+      console.error("Error creating invoice:", error);
+      res.status(error.code === 11000 ? 409 : 500).json({
+        success: false,
+        message:
+          error.code === 11000
+            ? "Queue entry has already been billed"
+            : error.message || "Failed to create invoice",
+        data: null,
+      });
+    } finally {
+      session.endSession();
+    }
+  }
+);
+
+// Invoices, newest first, paginated. Customers get their own; with
+// ?vendorId= the business owner gets the business's and a helper the ones
+// they served or issued.
+router.get(
+  "/invoices",
+  verifyUser,
+  [
+    query("vendorId").optional().isString().withMessage("Invalid vendor ID"),
+    query("startTime")
+      .optional()
+      .isISO8601()
+      .withMessage("Valid start time is required"),
+    query("endTime")
+      .optional()
+      .isISO8601()
+      .withMessage("Valid end time is required"),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res
+        .status(400)
+        .json({ success: false, message: errors.array()[0].msg, data: null });
+    }
+
+    const { vendorId, startTime, endTime } = req.query;
+    const userId = req.user.id;
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+
+    try {
+      let filter;
+      if (vendorId) {
+        const vendor = await Vendor.findById(vendorId).lean();
+        if (!vendor) {
+          return res.status(404).json({
+            success: false,
+            message: "Vendor not found",
+            data: null,
+          });
+        }
+
+        if (isOwner(vendor, userId)) {
+          filter = { vendorId };
+        } else if (isHelper(vendor, userId)) {
+          filter = {
+            vendorId,
+            $or: [{ helperId: userId }, { issuedBy: userId }],
+          };
+        } else {
+          return res.status(403).json({
+            success: false,
+            message: "Unauthorized to view this business's invoices",
+            data: null,
+          });
+        }
+      } else {
+        filter = { userId };
+      }
+
+      if (startTime || endTime) {
+        filter.issuedAt = {};
+        if (startTime) filter.issuedAt.$gte = new Date(startTime);
+        if (endTime) filter.issuedAt.$lte = new Date(endTime);
+      }
+
+      const [invoices, total] = await Promise.all([
+        Invoice.find(filter)
+          .sort({ issuedAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .lean(),
+        Invoice.countDocuments(filter),
+      ]);
+
+      res.json({
+        success: true,
+        message: "Invoices retrieved successfully",
+        data: { invoices, total, page, limit },
+      });
+    } catch (error) {
+      console.error("Error retrieving invoices:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to retrieve invoices",
+        data: null,
+      });
+    }
+  }
+);
+
+// Invoice with a shareable receipt link (business staff or the customer)
+router.get("/invoices/:id", verifyUser, async (req, res) => {
+  try {
+    const found = await findAccessibleInvoice(req.params.id, req.user.id);
+    if (!found) {
+      return res.status(404).json({
+        success: false,
+        message: "Invoice not found",
+        data: null,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Invoice retrieved successfully",
+      data: {
+        ...found.invoice,
+        receiptUrl: getReceiptUrl(req, found.invoice),
+      },
+    });
+  } catch (error) {
+    console.error("Error retrieving invoice:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve invoice",
+      data: null,
+    });
+  }
+});
+
+// Download Receipt PDF (business staff or the customer)
+router.get("/invoices/:id/receipt", verifyUser, async (req, res) => {
+  try {
+    const found = await findAccessibleInvoice(req.params.id, req.user.id);
+    if (!found) {
+      return res.status(404).json({
+        success: false,
+        message: "Invoice not found",
+        data: null,
+      });
+    }
+
+    streamReceipt(res, found.invoice, found.vendor);
+  } catch (error) {
+    console.error("Error downloading receipt:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to download receipt",
+      data: null,
+    });
+  }
+});
+
+// Shared Receipt PDF (public, via the signed link from receiptUrl)
+router.get("/receipt/:token", async (req, res) => {
+  const decoded = verifyReceiptToken(req.params.token);
+  if (!decoded) {
+    return res.status(401).json({
+      success: false,
+      message: "Receipt link is invalid or has expired",
+      data: null,
+    });
+  }
+
+  try {
+    const invoice = await Invoice.findById(decoded.invoiceId).lean();
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: "Receipt not found",
+        data: null,
+      });
+    }
+
+    const vendor = await Vendor.findById(invoice.vendorId)
+      .select("businessName businessAddress")
+      .lean();
+    streamReceipt(res, invoice, vendor);
+  } catch (error) {
+    console.error("Error retrieving shared receipt:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve receipt",
+      data: null,
+    });
+  }
+});
+
+module.exports = router;
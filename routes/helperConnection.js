@@ -5,6 +5,7 @@ const { v4: uuidv4 } = require("uuid");
 const { body, validationResult } = require("express-validator");
 const verifyUser = require("../middlewares/verifyUser");
 const Vendor = require("../models/Vendor");
+const { getEntitlements, entitlementDenial } = require("../utils/entitlements");
 
 // Request to Join Business using joiningCode (only by helper account)
 router.post(
@@ -226,6 +227,25 @@ router.put(
           .json({ success: false, message: "Helper not found", data: null });
       }
 
+      // Accepting a helper counts against the business's plan
+      if (status === "accepted" && helperConnection.status !== "accepted") {
+        const entitlements = await getEntitlements(business._id);
+        const accepted = business.connectedHelpers.filter(
+          (ch) => ch.status === "accepted"
+        ).length;
+        if (accepted >= entitlements.limits.helpers) {
+          return res
+            .status(403)
+            .json(
+              entitlementDenial(
+                entitlements,
+                "helpers",
+                entitlements.limits.helpers
+              )
+            );
+        }
+      }
+
       if (status) {
         helperConnection.status = status;
         if (status === "accepted") {
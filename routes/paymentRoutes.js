@@ -1,17 +1,103 @@
 const express = require("express");
 const router = express.Router();
-const Razorpay = require("razorpay");
-const crypto = require("crypto");
-const { body, validationResult } = require("express-validator");
+const { body, query, validationResult } = require("express-validator");
 const verifyUser = require("../middlewares/verifyUser");
 const Vendor = require("../models/Vendor");
+const Queue = require("../models/Queue");
+const RateCard = require("../models/RateCard");
 const PaymentPlan = require("../models/paymentModel");
+const RazorpayWebhookEvent = require("../models/RazorpayWebhookEvent");
+const {
+  razorpay,
+  isValidPaymentSignature,
+  isValidWebhookSignature,
+} = require("../utils/razorpay");
+const {
+  getPlanCatalog,
+  quotePlan,
+  activatePaymentPlan,
+  failPaymentPlan,
+} = require("../utils/subscriptions");
+const { getEntitlements } = require("../utils/entitlements");
+const { getMonthlySmsCount } = require("../utils/smsNotifications");
+const {
+  getPayableAmount,
+  settleInvoiceOnline,
+  markRefundDue,
+  refundQueuePayment,
+  refundDuplicatePayment,
+} = require("../utils/queuePayments");
 
-const razorpay = new Razorpay({
-  key_id: process.env.RAZORPAY_KEY_ID,
-  key_secret: process.env.RAZORPAY_KEY_SECRET,
+// Plan Price Catalog (public)
+router.get("/plans", async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      message: "Plans retrieved successfully",
+      data: await getPlanCatalog(),
+    });
+  } catch (error) {
+    console.error("Error retrieving plan catalog:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve plans",
+      data: null,
+    });
+  }
 });
 
+// Quote a Plan Order (Owner): price, proration, coupon discount and the
+// dates it would cover
+router.get(
+  "/quote",
+  verifyUser,
+  [
+    query("planType")
+      .isIn(["monthly", "yearly"])
+      .withMessage("Plan type must be monthly or yearly"),
+    query("couponCode")
+      .optional()
+      .isString()
+      .withMessage("Coupon code must be a string"),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res
+        .status(400)
+        .json({ success: false, message: errors.array()[0].msg, data: null });
+    }
+
+    try {
+      const quote = await quotePlan(
+        req.user.id,
+        req.query.planType,
+        req.query.couponCode
+      );
+      if (quote.error) {
+        return res.status(400).json({
+          success: false,
+          message: quote.error,
+          data: null,
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Quote retrieved successfully",
+        data: quote,
+      });
+    } catch (error) {
+      console.error("Error quoting plan:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to quote plan",
+        data: null,
+      });
+    }
+  }
+);
+
 // Create Order (Monthly/Yearly subscription)
 router.post(
   "/create-order",
@@ -20,6 +106,10 @@ router.post(
     body("planType")
       .isIn(["monthly", "yearly"])
       .withMessage("Plan type must be monthly or yearly"),
+    body("couponCode")
+      .optional()
+      .isString()
+      .withMessage("Coupon code must be a string"),
   ],
   async (req, res) => {
     const errors = validationResult(req);
@@ -29,7 +119,7 @@ router.post(
         .json({ success: false, message: errors.array()[0].msg, data: null });
     }
 
-    const { planType } = req.body;
+    const { planType, couponCode } = req.body;
     const vendorId = req.user.id;
 
     try {
@@ -48,54 +138,51 @@ router.post(
         });
       }
 
-      // Check for active plan
-      const now = new Date();
-      now.setHours(now.getUTCHours() + 5 + 30); // Adjust to IST (02:11 PM IST on Oct 18, 2025)
-      const activePlan = await PaymentPlan.findOne({
-        vendorId,
-        isActive: true,
-        startDate: { $lte: now },
-        endDate: { $gte: now },
-      });
-      if (activePlan) {
+      // Renewals stack after the current plan; upgrades are prorated
+      const quote = await quotePlan(vendorId, planType, couponCode);
+      if (quote.error) {
         return res.status(400).json({
           success: false,
-          message: "Cannot create new order, an active plan exists",
+          message: quote.error,
           data: null,
         });
       }
 
-      const amount = planType === "monthly" ? 84000 : 755000; // ₹840 = 84000 paise, ₹7550 = 755000 paise
+      const { amount, startDate, endDate } = quote;
       const orderId = `order_${Date.now()}_${Math.random()
         .toString(36)
         .substr(2, 9)}`;
 
-      const startDate = new Date();
-      const endDate = new Date();
-      endDate.setMonth(endDate.getMonth() + (planType === "monthly" ? 1 : 12));
-
       const options = {
-        amount: amount, // in paise
+        amount: Math.round(amount * 100), // in paise
         currency: "INR",
         receipt: orderId,
         notes: {
           vendorId: vendorId,
           planType: planType,
+          kind: quote.kind,
           startDate: startDate.toISOString(),
           endDate: endDate.toISOString(),
+          ...(quote.couponCode ? { couponCode: quote.couponCode } : {}),
         },
       };
 
       const razorpayOrder = await razorpay.orders.create(options);
 
-      // Create pending payment plan record
+      // Create pending payment plan record; dates are settled on payment
       const paymentPlan = new PaymentPlan({
         vendorId,
         planType,
-        amount: amount / 100, // Store in rupees for record
+        amount, // in rupees
         orderId: razorpayOrder.id,
         startDate,
         endDate,
+        price: quote.price,
+        proratedCredit: quote.proratedCredit,
+        supersedesPlanIds: quote.supersedesPlanIds,
+        couponId: quote.couponId,
+        couponCode: quote.couponCode,
+        discount: quote.discount,
       });
       await paymentPlan.save();
 
@@ -104,10 +191,17 @@ router.post(
         message: "Order created successfully",
         data: {
           orderId: razorpayOrder.id,
-          amount: amount / 100, // Return in rupees
+          amount, // in rupees
           currency: "INR",
           key: process.env.RAZORPAY_KEY_ID,
           name: vendor.businessName || "Qveuw Premium",
+          kind: quote.kind,
+          price: quote.price,
+          proratedCredit: quote.proratedCredit,
+          couponCode: quote.couponCode,
+          discount: quote.discount,
+          startDate,
+          endDate,
         },
         token: null,
       });
@@ -149,13 +243,13 @@ router.post(
 
     try {
       // Verify payment signature
-      const sign = razorpay_order_id + "|" + razorpay_payment_id;
-      const expectedSign = crypto
-        .createHmac("sha256", process.env.RAZORPAY_KEY_SECRET)
-        .update(sign.toString())
-        .digest("hex");
-
-      if (expectedSign !== razorpay_signature) {
+      if (
+        !isValidPaymentSignature(
+          razorpay_order_id,
+          razorpay_payment_id,
+          razorpay_signature
+        )
+      ) {
         return res.status(400).json({
           success: false,
           message: "Invalid payment signature",
@@ -173,10 +267,12 @@ router.post(
         });
       }
 
-      // Find and update payment plan
-      const paymentPlan = await PaymentPlan.findOne({
-        orderId: razorpay_order_id,
-      });
+      // Mark the plan paid; the webhook may already have done so
+      const paymentPlan = await activatePaymentPlan(
+        razorpay_order_id,
+        razorpay_payment_id,
+        razorpay_signature
+      );
       if (!paymentPlan) {
         return res.status(404).json({
           success: false,
@@ -185,19 +281,6 @@ router.post(
         });
       }
 
-      // Update payment plan
-      paymentPlan.paymentId = razorpay_payment_id;
-      paymentPlan.signature = razorpay_signature;
-      paymentPlan.status = "paid";
-      paymentPlan.isActive = true;
-      await paymentPlan.save();
-
-      // Deactivate any other active plans for this vendor
-      await PaymentPlan.updateMany(
-        { vendorId: paymentPlan.vendorId, _id: { $ne: paymentPlan._id } },
-        { isActive: false }
-      );
-
       res.json({
         success: true,
         message: "Payment verified successfully",
@@ -221,6 +304,80 @@ router.post(
   }
 );
 
+// Razorpay Webhook (subscription payments). Activates plans even when the
+// app never posts back to /verify-payment. Events are recorded once handled,
+// so Razorpay's retries and duplicates are acknowledged without reprocessing.
+router.post("/webhook", async (req, res) => {
+  const signature = req.headers["x-razorpay-signature"];
+  if (
+    !signature ||
+    !req.rawBody ||
+    !isValidWebhookSignature(req.rawBody, signature)
+  ) {
+    return res.status(400).json({
+      success: false,
+      message: "Invalid webhook signature",
+      data: null,
+    });
+  }
+
+  const { event, payload } = req.body;
+  // Keyed by the payment when the event ID header is missing
+  const eventId =
+    req.headers["x-razorpay-event-id"] ||
+    `${event}:${payload?.payment?.entity?.id}`;
+
+  try {
+    if (await RazorpayWebhookEvent.exists({ _id: eventId })) {
+      return res.json({
+        success: true,
+        message: "Event already processed",
+        data: null,
+      });
+    }
+
+    const payment = payload?.payment?.entity;
+    const orderId = payload?.order?.entity?.id || payment?.order_id;
+
+    let plan = null;
+    if (orderId && ["payment.captured", "order.paid"].includes(event)) {
+      plan = await activatePaymentPlan(orderId, payment?.id);
+    } else if (orderId && event === "payment.failed") {
+      plan = await failPaymentPlan(orderId, payment?.id);
+    }
+
+    await RazorpayWebhookEvent.create({
+      _id: eventId,
+      event,
+      orderId,
+      paymentId: payment?.id,
+      paymentPlanId: plan?._id,
+    });
+
+    res.json({
+      success: true,
+      message: "Webhook processed successfully",
+      data: null,
+    });
+  } catch (error) {
+    // A concurrent delivery of the same event got there first
+    if (error.code === 11000) {
+      return res.json({
+        success: true,
+        message: "Event already processed",
+        data: null,
+      });
+    }
+    // Any other failure returns 500 so Razorpay retries
+    console.error(`Error processing Razorpay webhook ${eventId}:`, error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to process webhook",
+      data: null,
+    });
+  }
+});
+
 // Get Vendor Plans (recent or all) with active status check
 router.get("/vendor-plans", verifyUser, async (req, res) => {
   const { allPlans } = req.query; // boolean as query param
@@ -277,4 +434,315 @@ router.get("/vendor-plans", verifyUser, async (req, res) => {
   }
 });
 
+// Create Order for a Queue Entry (Customer). An entry can be prepaid while
+// waiting or paid once served; a billed entry is charged its invoice total.
+router.post(
+  "/queue/create-order",
+  verifyUser,
+  [body("queueId").isString().withMessage("Valid queue ID is required")],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res
+        .status(400)
+        .json({ success: false, message: errors.array()[0].msg, data: null });
+    }
+
+    const { queueId } = req.body;
+    const userId = req.user.id;
+
+    try {
+      const queue = await Queue.findById(queueId);
+      if (!queue || queue.userType !== "normal" || queue.userId !== userId) {
+        return res.status(404).json({
+          success: false,
+          message: "Queue entry not found",
+          data: null,
+        });
+      }
+
+      if (queue.status === "removed") {
+        return res.status(400).json({
+          success: false,
+          message: "Queue entry has been removed",
+          data: null,
+        });
+      }
+
+      if (
+        ["paid", "refund_pending", "refunded"].includes(queue.payment?.status)
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: "Queue entry has already been paid",
+          data: null,
+        });
+      }
+
+      const vendor = await Vendor.findById(queue.vendorId);
+      if (!vendor || vendor.isDeleted || vendor.isSuspended) {
+        return res.status(403).json({
+          success: false,
+          message: "Vendor not found or inactive",
+          data: null,
+        });
+      }
+
+      const amount = await getPayableAmount(queue);
+      if (amount === null) {
+        return res.status(400).json({
+          success: false,
+          message: "Queue entry has already been paid at the counter",
+          data: null,
+        });
+      }
+      if (!(amount > 0)) {
+        return res.status(400).json({
+          success: false,
+          message: "Nothing to pay for this queue entry",
+          data: null,
+        });
+      }
+
+      const timing = queue.status === "completed" ? "postpaid" : "prepaid";
+      let orderId = queue.payment?.orderId;
+      if (
+        queue.payment?.status === "created" &&
+        queue.payment.amount === amount
+      ) {
+        // Checkout can retry the pending order
+        queue.payment.timing = timing;
+      } else {
+        const razorpayOrder = await razorpay.orders.create({
+          amount: Math.round(amount * 100), // in paise
+          currency: "INR",
+          receipt: `queue_${Date.now()}`,
+          notes: { type: "queue", queueId, vendorId: queue.vendorId, userId },
+        });
+        orderId = razorpayOrder.id;
+
+        // First checkout, or the amount changed (e.g. billed since). An
+        // earlier order can still be paid, so it stays recognised.
+        const previousOrderIds = [
+          ...(queue.payment?.previousOrderIds || []),
+          ...(queue.payment?.orderId ? [queue.payment.orderId] : []),
+        ];
+        queue.payment = {
+          status: "created",
+          timing,
+          orderId,
+          previousOrderIds,
+          amount,
+        };
+      }
+      await queue.save();
+
+      res.json({
+        success: true,
+        message: "Order created successfully",
+        data: {
+          orderId,
+          amount, // in rupees
+          currency: "INR",
+          key: process.env.RAZORPAY_KEY_ID,
+          name: vendor.businessName || "Qveuw",
+          queueId,
+        },
+        token: null,
+      });
+    } catch (error) {
+      console.error("Error creating queue payment order:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to create order",
+        data: null,
+      });
+    }
+  }
+);
+
+// Verify Queue Entry Payment (Customer). Verifying again is harmless.
+router.post(
+  "/queue/verify-payment",
+  verifyUser,
+  [
+    body("razorpay_order_id")
+      .notEmpty()
+      .withMessage("Razorpay order ID is required"),
+    body("razorpay_payment_id")
+      .notEmpty()
+      .withMessage("Razorpay payment ID is required"),
+    body("razorpay_signature")
+      .notEmpty()
+      .withMessage("Razorpay signature is required"),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res
+        .status(400)
+        .json({ success: false, message: errors.array()[0].msg, data: null });
+    }
+
+    const { razorpay_order_id, razorpay_payment_id, razorpay_signature } =
+      req.body;
+
+    try {
+      if (
+        !isValidPaymentSignature(
+          razorpay_order_id,
+          razorpay_payment_id,
+          razorpay_signature
+        )
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid payment signature",
+          data: null,
+        });
+      }
+
+      let queue = await Queue.findOne({
+        $or: [
+          { "payment.orderId": razorpay_order_id },
+          { "payment.previousOrderIds": razorpay_order_id },
+        ],
+        userId: req.user.id,
+      });
+      if (!queue) {
+        return res.status(404).json({
+          success: false,
+          message: "Queue payment not found",
+          data: null,
+        });
+      }
+
+      let refundDue = false;
+      let duplicate = false;
+      if (queue.payment.paymentId !== razorpay_payment_id) {
+        const payment = await razorpay.payments.fetch(razorpay_payment_id);
+        if (payment.status !== "captured") {
+          return res.status(400).json({
+            success: false,
+            message: "Payment not captured",
+            data: null,
+          });
+        }
+
+        // Claimed atomically: two orders verified at once can't both win
+        const settledAtCounter = (await getPayableAmount(queue)) === null;
+        const claimed =
+          !settledAtCounter &&
+          (await Queue.findOneAndUpdate(
+            {
+              _id: queue._id,
+              "payment.status": { $in: ["created", "failed"] },
+            },
+            {
+              "payment.status": "paid",
+              "payment.orderId": razorpay_order_id,
+              "payment.paymentId": razorpay_payment_id,
+              // The order paid may be an earlier one, for a different amount
+              "payment.amount": payment.amount / 100,
+              "payment.paidAt": new Date(),
+            },
+            { new: true }
+          ));
+
+        if (claimed) {
+          queue = claimed;
+          // The entry was removed while the customer was paying
+          refundDue = queue.status === "removed" && markRefundDue(queue);
+          if (refundDue) {
+            await queue.save();
+          } else {
+            await settleInvoiceOnline(queue);
+          }
+        } else {
+          queue = (await Queue.findById(queue._id)) || queue;
+          // Paid first through another order, or billed as paid at the
+          // counter. The same payment verified twice at once is left alone.
+          if (queue.payment.paymentId !== razorpay_payment_id) {
+            duplicate = true;
+            await refundDuplicatePayment(queue._id, payment);
+          }
+        }
+      }
+
+      if (refundDue) await refundQueuePayment(queue._id);
+
+      res.json({
+        success: true,
+        message: duplicate
+          ? "Queue entry was already paid; this payment is being refunded"
+          : refundDue
+          ? "Payment received for a removed queue entry; it is being refunded"
+          : "Payment verified successfully",
+        data: {
+          status:
+            duplicate || refundDue ? "refund_pending" : queue.payment.status,
+          queueId: queue._id,
+          orderId: razorpay_order_id,
+          paymentId: queue.payment.paymentId,
+          amount: queue.payment.amount,
+          currency: "INR",
+        },
+        token: null,
+      });
+    } catch (error) {
+      console.error("Error verifying queue payment:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to verify payment",
+        data: null,
+      });
+    }
+  }
+);
+
+// Current Plan, Limits and Usage (Owner or helper), for upsell screens
+router.get("/entitlements", verifyUser, async (req, res) => {
+  try {
+    const entitlements = await getEntitlements(req.user.id);
+    if (!entitlements.vendorId) {
+      return res.status(403).json({
+        success: false,
+        message: "Only business accounts have plans",
+        data: null,
+      });
+    }
+
+    const [business, rateCards, smsThisMonth] = await Promise.all([
+      Vendor.findById(entitlements.vendorId).select("connectedHelpers").lean(),
+      RateCard.countDocuments({
+        createdBy: entitlements.vendorId,
+        isDeleted: false,
+      }),
+      getMonthlySmsCount(entitlements.vendorId),
+    ]);
+
+    res.json({
+      success: true,
+      message: "Entitlements retrieved successfully",
+      data: {
+        ...entitlements,
+        usage: {
+          helpers: (business?.connectedHelpers || []).filter(
+            (ch) => ch.status === "accepted"
+          ).length,
+          rateCards,
+          smsPerMonth: smsThisMonth,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Error retrieving entitlements:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve entitlements",
+      data: null,
+    });
+  }
+});
+
 module.exports = router;
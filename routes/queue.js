@@ -6,101 +6,119 @@ const { body, validationResult } = require("express-validator");
 const verifyUser = require("../middlewares/verifyUser");
 const Vendor = require("../models/Vendor");
 const RateCard = require("../models/RateCard");
-// const ManualAddUsers = require("../models/ManualAddUsers");
+const Queue = require("../models/Queue");
+const ManualAddUsers = require("../models/ManualAddUsers");
 const User = require("../models/User");
+const Break = require("../models/Break");
 const axios = require("axios");
-
-// Queue Schema
-const updateHistorySchema = new mongoose.Schema({
-  action: {
-    type: String,
-    enum: [
-      "skip",
-      "hold",
-      "remove",
-      "next",
-      "add_time",
-      "unhold",
-      "edit",
-      "undo",
-    ],
-    required: true,
-  },
-  source: { type: String, enum: ["user", "vendor"], required: true },
-  timestamp: { type: Date, default: Date.now },
-  previousPosition: { type: Number },
-  newPosition: { type: Number },
-  addedTime: { type: Number }, // in minutes, for add_time action
-  estimatedWait: { type: Number }, // Track wait time changes
-  serviceId: { type: String, ref: "RateCard" }, // for edit action
-  businessId: { type: String, ref: "Vendor" }, // New field for business ID
-  newlyAssignedHelperId: { type: String, ref: "Vendor" }, // New field for helper ID
-});
-
-const queueSchema = new mongoose.Schema(
-  {
-    _id: { type: String, default: uuidv4 },
-    userId: { type: String, ref: "User" }, // For normal registered users
-    manualUserId: { type: String, ref: "ManualAddUsers" }, // For manual users
-    vendorId: { type: String, ref: "Vendor", required: true },
-    helperId: { type: String, ref: "Vendor" }, // Specific helper or null for ANY
-    serviceId: { type: String, ref: "RateCard", required: true },
-    userType: { type: String, enum: ["normal", "manual"], required: true }, // ✅ FIXED
-    preference: { type: String, enum: ["ANY", "SPECIFIC"], default: "ANY" },
-    gender: {
-      type: String,
-      enum: ["male", "female", "child"],
-      required: true,
-    },
-    joiningPosition: { type: Number, required: true },
-    currentPosition: { type: Number, required: true },
-    joiningTime: { type: Date, default: Date.now },
-    estimatedServiceStartTime: { type: Date, required: true },
-    estimatedWait: { type: Number, required: true }, // in minutes
-    status: {
-      type: String,
-      enum: ["in_queue", "hold", "completed", "skipped", "removed"],
-      default: "in_queue",
-    },
-    updateHistory: [updateHistorySchema],
-    total: { type: Number, required: true }, // Service cost
-    rating: { type: Number, min: 0, max: 5 }, // Post-service rating
-    notes: { type: String }, // Post-service comments
-  },
-  { timestamps: true }
-);
-
-queueSchema.index({ vendorId: 1, status: 1 });
-queueSchema.index({ helperId: 1, status: 1 });
-queueSchema.index({ serviceId: 1 });
-queueSchema.index({ joiningTime: -1 });
-
-const Queue = mongoose.model("Queue", queueSchema);
-
-// ManualAddUsers Schema
-const phoneSchema = new mongoose.Schema({
-  dialCode: { type: String, required: true },
-  number: { type: String, required: true },
-});
-
-const manualAddUsersSchema = new mongoose.Schema(
-  {
-    _id: { type: String, default: uuidv4 },
-    vendorId: { type: String, ref: "Vendor", required: true },
-    name: { type: String, required: true },
-    phone: { type: phoneSchema, required: true },
-    gender: { type: String, enum: ["male", "female", "child"], required: true },
-    notes: { type: String },
-    isDeleted: { type: Boolean, default: false },
-    createdAt: { type: Date, default: Date.now },
-  },
-  { timestamps: true }
-);
-
-manualAddUsersSchema.index({ vendorId: 1, isDeleted: 1 });
-manualAddUsersSchema.index({ "phone.dialCode": 1, "phone.number": 1 });
-
-const ManualAddUsers = mongoose.model("ManualAddUsers", manualAddUsersSchema);
+const { emitQueueUpdate } = require("../utils/socket");
+const { notify, notifyMany } = require("../utils/notifications");
+const { sendQueueSms } = require("../utils/smsNotifications");
+const { evaluateProximityAlerts } = require("../utils/proximityAlerts");
+const {
+  ACTIVE_STATUSES,
+  SERVING_STATUSES,
+  EMPTY_WORK,
+  loadLearnedDurations,
+  getServiceDuration,
+  getEntryDuration,
+  addWork,
+  mergeWork,
+  sumWork,
+  getHelperWorkAhead,
+  getLastCompletionTime,
+  getInProgressSince,
+  toWaitRange,
+} = require("../utils/waitEstimator");
+const {
+  getOpenWindow,
+  isOpenNow,
+  getNextOpenAt,
+  addWorkingMinutes,
+  toLocalDateString,
+} = require("../utils/workingHours");
+const { createCheckInToken, verifyCheckInToken } = require("../utils/checkIn");
+const { exportQueueHistory } = require("../utils/queueExport");
+const {
+  billingValidators,
+  createInvoice,
+  getReceiptUrl,
+} = require("../utils/billing");
+const { markRefundDue, refundQueuePayment } = require("../utils/queuePayments");
+const { getEntitlements, entitlementDenial } = require("../utils/entitlements");
+const {
+  estimateStartTime,
+  minutesUntil,
+  refreshEstimate,
+  skipEntry,
+  holdEntry,
+  removeEntry,
+} = require("../utils/queueTransitions");
+
+// Record actual wait and service time on an entry being completed. Entries
+// never started explicitly are assumed to start when the helper freed up.
+const stampCompletion = async (queue, session = null) => {
+  const completedAt = new Date();
+  const startedAt =
+    queue.serviceStartedAt ||
+    getInProgressSince(
+      queue,
+      await getLastCompletionTime(queue.helperId, session)
+    );
+
+  queue.completedAt = completedAt;
+  queue.actualWait = Math.max(
+    0,
+    Math.round((startedAt - queue.joiningTime) / (60 * 1000))
+  );
+  queue.actualServiceDuration = Math.max(
+    0,
+    Math.round((completedAt - startedAt) / (60 * 1000))
+  );
+};
+
+// Record a break unless one is already running for the business or helper
+const startBreak = async (
+  vendorId,
+  helperId,
+  { reason, message, duration }
+) => {
+  const running = await Break.exists({ vendorId, helperId, endedAt: null });
+  if (running) return;
+  await Break.create({
+    vendorId,
+    helperId,
+    reason,
+    message,
+    plannedDuration: duration,
+  });
+};
+
+const endBreak = (vendorId, helperId) =>
+  Break.updateMany(
+    { vendorId, helperId, endedAt: null },
+    { endedAt: new Date() }
+  );
+
+// End of the previous still-active service in the same visit, if any
+const getVisitChainStart = async (queue, session = null) => {
+  if (!queue.visitId || !(queue.visitSequence > 1)) return null;
+
+  const previous = await Queue.findOne({
+    visitId: queue.visitId,
+    visitSequence: { $lt: queue.visitSequence },
+    status: { $in: ["in_queue", "in_service", "hold", "skipped"] },
+  })
+    .sort({ visitSequence: -1 })
+    .populate("serviceId", "duration")
+    .session(session);
+  if (!previous) return null;
+
+  return new Date(
+    previous.estimatedServiceStartTime.getTime() +
+      (previous.serviceId?.duration || 0) * 60 * 1000
+  );
+};
 
 // Enqueue Customer (Normal or Manual)
 router.post(
@@ -162,6 +180,18 @@ router.post(
         throw new Error("Vendor is not an active owner or not found");
       }
 
+      // Customers can't join while closed; the business may still add
+      // walk-ins manually, with a warning
+      const isClosed = !isOpenNow(vendor);
+      if (isClosed && userType === "normal") {
+        const nextOpenAt = getNextOpenAt(vendor);
+        throw new Error(
+          nextOpenAt
+            ? `Business is closed. Opens at ${nextOpenAt.toISOString()}`
+            : "Business is closed"
+        );
+      }
+
       // Verify user
       if (userType === "manual") {
         if (!manualUserId) {
@@ -191,8 +221,24 @@ router.post(
         }
       }
 
+      // Several services form one visit, served one after another
+      const visitId = services.length > 1 ? uuidv4() : undefined;
+      const pendingWork = {}; // entries from this request, not yet inserted
+      let previousEnd = null; // when the previous service in the visit ends
+      const learned = await loadLearnedDurations(vendor, session);
+
+      // Work already queued on a helper plus what this request added
+      const getWorkAhead = async (helperId) =>
+        mergeWork(
+          await getHelperWorkAhead(vendorId, helperId, { learned, session }),
+          pendingWork[helperId] || EMPTY_WORK
+        );
+
       const queueEntries = [];
-      for (const { serviceId, gender, preference, helperId } of services) {
+      for (const [
+        index,
+        { serviceId, gender, preference, helperId },
+      ] of services.entries()) {
         // Verify service
         const service = await RateCard.findOne({
           _id: serviceId,
@@ -233,15 +279,11 @@ router.post(
 
           for (const helper of activeHelpers) {
             if (!helper.associatedServices.includes(serviceId)) continue;
-            const queueLength = await Queue.countDocuments(
-              {
-                vendorId,
-                helperId: helper.helperId,
-                status: { $in: ["in_queue", "hold", "skipped"] },
-              },
-              { session }
+            const work = await getWorkAhead(helper.helperId);
+            const waitTime = Math.max(
+              work.minutes,
+              previousEnd ? minutesUntil(previousEnd) : 0
             );
-            const waitTime = queueLength * service.duration;
             if (waitTime < minWaitTime) {
               minWaitTime = waitTime;
               selectedHelperId = helper.helperId;
@@ -254,19 +296,33 @@ router.post(
           }
         }
 
-        // Calculate queue position (new customer joins at end)
-        const queueLength = await Queue.countDocuments(
-          {
-            vendorId,
-            helperId: selectedHelperId,
-            status: { $in: ["in_queue", "hold", "skipped"] }, // Exclude completed, removed
-          },
-          { session }
+        // Calculate queue position (new customer joins at end) and the
+        // actual work of everyone ahead
+        const work = await getWorkAhead(selectedHelperId);
+        const joiningPosition = work.count + 1;
+        const estimatedServiceStartTime = await estimateStartTime(
+          vendor,
+          selectedHelperId,
+          work.minutes,
+          service.duration,
+          session,
+          previousEnd
         );
-        const joiningPosition = queueLength + 1;
-        const estimatedWait = queueLength * service.duration;
-        const estimatedServiceStartTime = new Date(
-          Date.now() + estimatedWait * 60 * 1000
+        const estimatedWait = minutesUntil(estimatedServiceStartTime);
+
+        const expected = getServiceDuration(
+          learned,
+          serviceId,
+          selectedHelperId,
+          service.duration
+        );
+        pendingWork[selectedHelperId] = addWork(
+          pendingWork[selectedHelperId] || EMPTY_WORK,
+          expected.minutes,
+          expected.high
+        );
+        previousEnd = new Date(
+          estimatedServiceStartTime.getTime() + expected.minutes * 60 * 1000
         );
 
         const queueEntry = new Queue({
@@ -283,20 +339,45 @@ router.post(
           currentPosition: joiningPosition,
           joiningTime: new Date(),
           estimatedWait,
+          initialEstimatedWait: estimatedWait,
+          estimatedWaitRange: toWaitRange(estimatedWait, work),
           estimatedServiceStartTime,
+          visitId,
+          visitSequence: visitId ? index + 1 : undefined,
           total: service.rate,
           status: "in_queue",
         });
 
+        // Manual customers are added at the counter, so they're already here
+        if (userType === "manual") {
+          queueEntry.checkedInAt = queueEntry.joiningTime;
+        } else {
+          queueEntry.checkInToken = createCheckInToken(queueEntry);
+        }
+
         queueEntries.push(queueEntry);
       }
 
       await Queue.insertMany(queueEntries, { session });
       await session.commitTransaction();
 
+      queueEntries.forEach((entry) => emitQueueUpdate(entry, "enqueue"));
+
+      // Estimates past today's closing time roll into the next open day
+      const currentWindow = getOpenWindow(vendor, new Date());
+      const spillsOver =
+        !!currentWindow &&
+        queueEntries.some(
+          (entry) => entry.estimatedServiceStartTime >= currentWindow.closeAt
+        );
+
       res.status(201).json({
         success: true,
-        message: "Customer(s) enqueued successfully",
+        message: isClosed
+          ? "Customer(s) enqueued while the business is closed"
+          : spillsOver
+          ? "Customer(s) enqueued; service will start on the next working day"
+          : "Customer(s) enqueued successfully",
         data: queueEntries,
       });
     } catch (error) {
@@ -370,7 +451,9 @@ router.post(
 
       const queues = await Queue.find({
         helperId,
-        status: { $in: ["in_queue", "hold", "skipped"] }, // Exclude completed, removed
+        status: {
+          $in: ["in_queue", "in_service", "hold", "skipped"],
+        }, // Exclude completed, removed
         createdAt: { $gte: new Date(startTime), $lte: new Date(endTime) },
       })
         .populate("serviceId", "name duration rate")
@@ -393,12 +476,18 @@ router.post(
             ? "HOLD"
             : queue.status === "skipped"
             ? "SKIPPED"
+            : queue.status === "in_service"
+            ? "IN_SERVICE"
             : "ACTIVE",
         positionType:
           queue.status === "hold"
             ? queue.currentPosition
             : queue.currentPosition,
         eta: queue.estimatedServiceStartTime,
+        // Minutes since service started, for the customer being served
+        serviceElapsed: queue.serviceStartedAt
+          ? Math.round((Date.now() - queue.serviceStartedAt) / (60 * 1000))
+          : null,
       }));
 
       res.json({
@@ -408,6 +497,9 @@ router.post(
           helperId,
           totalInQueue: enrichedQueues.filter((q) => q.status === "in_queue")
             .length,
+          totalInService: enrichedQueues.filter(
+            (q) => q.status === "in_service"
+          ).length,
           totalHold: enrichedQueues.filter((q) => q.status === "hold").length,
           totalSkipped: enrichedQueues.filter((q) => q.status === "skipped")
             .length,
@@ -470,6 +562,8 @@ router.post(
         });
       }
 
+      const learned = await loadLearnedDurations(vendor);
+
       // Fetch helper details and services
       const helperWaitTimes = [];
       for (const helper of activeHelpers) {
@@ -482,6 +576,11 @@ router.post(
 
         if (!helperDetails) continue; // Skip deleted/suspended helpers
 
+        // Everything queued on this helper, whatever the service
+        const work = await getHelperWorkAhead(vendorId, helper.helperId, {
+          learned,
+        });
+
         const services = [];
         for (const serviceId of helper.associatedServices) {
           const service = await RateCard.findOne({
@@ -497,17 +596,33 @@ router.post(
             vendorId,
             helperId: helper.helperId,
             serviceId,
-            status: { $in: ["in_queue", "hold", "skipped"] }, // Exclude completed, removed
+            status: {
+              $in: ["in_queue", "in_service", "hold", "skipped"],
+            }, // Exclude completed, removed
           });
 
-          const estimatedWait = queueLength * service.duration;
+          const estimatedWait = minutesUntil(
+            await estimateStartTime(
+              vendor,
+              helper.helperId,
+              work.minutes,
+              service.duration
+            )
+          );
 
           services.push({
             serviceId: service._id,
             serviceName: service.name,
             duration: service.duration,
+            expectedDuration: getServiceDuration(
+              learned,
+              service._id,
+              helper.helperId,
+              service.duration
+            ).minutes,
             queueLength,
             estimatedWait,
+            estimatedWaitRange: toWaitRange(estimatedWait, work),
           });
         }
 
@@ -842,6 +957,10 @@ router.post(
   [
     body("startTime").isISO8601().withMessage("Valid start time is required"),
     body("endTime").isISO8601().withMessage("Valid end time is required"),
+    body("format")
+      .optional()
+      .isIn(["json", "csv", "pdf"])
+      .withMessage("Format must be json, csv or pdf"),
   ],
   async (req, res) => {
     const errors = validationResult(req);
@@ -851,15 +970,38 @@ router.post(
         .json({ success: false, message: errors.array()[0].msg, data: null });
     }
 
-    const { startTime, endTime } = req.body;
+    const { startTime, endTime, format = "json" } = req.body;
     const userId = req.user.id;
 
     try {
       // ✅ Only fetch queues for this normal user
-      const queues = await Queue.find({
+      const query = {
         userId, // Only their own queues
         createdAt: { $gte: new Date(startTime), $lte: new Date(endTime) },
-      })
+      };
+
+      // Downloads are streamed oldest first
+      if (format !== "json") {
+        return await exportQueueHistory(
+          res,
+          Queue.find(query)
+            .populate("serviceId", "name")
+            .populate("vendorId", "businessName")
+            .populate("helperId", "fullName")
+            .populate("userId", "firstName lastName")
+            .sort({ joiningTime: 1 }),
+          format,
+          {
+            title: "Queue History",
+            subtitle: `${startTime} to ${endTime}`,
+            filename: `queue-history-${toLocalDateString(
+              new Date(startTime)
+            )}_${toLocalDateString(new Date(endTime))}`,
+          }
+        );
+      }
+
+      const queues = await Queue.find(query)
         .populate("serviceId", "name duration rate")
         .populate("vendorId", "businessName fullName")
         .populate("helperId", "fullName")
@@ -873,6 +1015,7 @@ router.post(
       });
     } catch (error) {
       console.error("Error retrieving user queue history:", error);
+      if (res.headersSent) return res.destroy(error); // Mid-download
       res.status(500).json({
         success: false,
         message: "Failed to retrieve user queue history",
@@ -891,6 +1034,10 @@ router.post(
     body("startTime").isISO8601().withMessage("Valid start time is required"),
     body("endTime").isISO8601().withMessage("Valid end time is required"),
     body("helperId").optional().isString().withMessage("Invalid helper ID"), // ✅ FIXED
+    body("format")
+      .optional()
+      .isIn(["json", "csv", "pdf"])
+      .withMessage("Format must be json, csv or pdf"),
   ],
   async (req, res) => {
     const errors = validationResult(req);
@@ -900,7 +1047,13 @@ router.post(
         .json({ success: false, message: errors.array()[0].msg, data: null });
     }
 
-    const { vendorId, startTime, endTime, helperId } = req.body;
+    const {
+      vendorId,
+      startTime,
+      endTime,
+      helperId,
+      format = "json",
+    } = req.body;
     const userId = req.user.id;
 
     try {
@@ -957,6 +1110,35 @@ router.post(
         query.helperId = helperId;
       }
 
+      // Downloads are streamed oldest first
+      if (format !== "json") {
+        const entitlements = await getEntitlements(vendorId);
+        if (!entitlements.limits.exports) {
+          return res
+            .status(403)
+            .json(entitlementDenial(entitlements, "exports"));
+        }
+
+        return await exportQueueHistory(
+          res,
+          Queue.find(query)
+            .populate("serviceId", "name")
+            .populate("vendorId", "businessName")
+            .populate("userId", "firstName lastName")
+            .populate("manualUserId", "name")
+            .populate("helperId", "fullName")
+            .sort({ joiningTime: 1 }),
+          format,
+          {
+            title: `${vendor.businessName || "Business"} Queue History`,
+            subtitle: `${startTime} to ${endTime}`,
+            filename: `business-queue-history-${toLocalDateString(
+              new Date(startTime)
+            )}_${toLocalDateString(new Date(endTime))}`,
+          }
+        );
+      }
+
       const queues = await Queue.find(query)
         .populate("serviceId", "name duration rate")
         .populate("userId", "firstName lastName phone")
@@ -972,6 +1154,7 @@ router.post(
       });
     } catch (error) {
       console.error("Error retrieving business queue history:", error);
+      if (res.headersSent) return res.destroy(error); // Mid-download
       res.status(500).json({
         success: false,
         message: "Failed to retrieve business queue history",
@@ -1036,6 +1219,7 @@ router.post(
       if (!helperId) {
         vendor.active = false; // ✅ Business goes inactive
         await vendor.save();
+        await startBreak(vendorId, null, { reason, message, duration });
 
         // ✅ Notify all queued customers (including skipped)
         const queues = await Queue.find({
@@ -1047,32 +1231,19 @@ router.post(
           .filter((q) => q.userType === "normal" && q.userId)
           .map((q) => q.userId);
 
-        if (userIds.length > 0) {
-          const users = await User.find({
-            _id: { $in: userIds },
-            receiveNotifications: true,
-          }).select("pushToken");
-
-          const pushTokens = users.filter((u) => u.pushToken);
-          if (pushTokens.length > 0) {
-            await axios.post(
-              "https://exp.host/--/api/v2/push/send",
-              pushTokens.map((u) => ({
-                to: u.pushToken,
-                sound: "default",
-                title: "Business on Break",
-                body: `Business is on break: ${message}`,
-                data: { type: "business_break", reason, duration },
-              })),
-              {
-                headers: {
-                  "Content-Type": "application/json",
-                  Accept: "application/json",
-                },
-              }
-            );
-          }
-        }
+        await notifyMany(userIds, {
+          title: "Business on Break",
+          body: `Business is on break: ${message}`,
+          data: { type: "business_break", reason, duration },
+        });
+        await sendQueueSms(
+          vendor,
+          queues
+            .filter((q) => q.userType === "manual" && q.manualUserId)
+            .map((q) => q.manualUserId),
+          "business_break",
+          { message }
+        );
 
         return res.json({
           success: true,
@@ -1096,6 +1267,7 @@ router.post(
 
       helperConnection.active = false; // ✅ Helper goes inactive
       await vendor.save();
+      await startBreak(vendorId, helperId, { reason, message, duration });
 
       // ✅ Notify affected customers (including skipped)
       const queues = await Queue.find({
@@ -1108,32 +1280,19 @@ router.post(
         .filter((q) => q.userType === "normal" && q.userId)
         .map((q) => q.userId);
 
-      if (userIds.length > 0) {
-        const users = await User.find({
-          _id: { $in: userIds },
-          receiveNotifications: true,
-        }).select("pushToken");
-
-        const pushTokens = users.filter((u) => u.pushToken);
-        if (pushTokens.length > 0) {
-          await axios.post(
-            "https://exp.host/--/api/v2/push/send",
-            pushTokens.map((u) => ({
-              to: u.pushToken,
-              sound: "default",
-              title: "Helper on Break",
-              body: `Your helper is on break: ${message}`,
-              data: { type: "helper_break", reason, duration },
-            })),
-            {
-              headers: {
-                "Content-Type": "application/json",
-                Accept: "application/json",
-              },
-            }
-          );
-        }
-      }
+      await notifyMany(userIds, {
+        title: "Helper on Break",
+        body: `Your helper is on break: ${message}`,
+        data: { type: "helper_break", reason, duration },
+      });
+      await sendQueueSms(
+        vendor,
+        queues
+          .filter((q) => q.userType === "manual" && q.manualUserId)
+          .map((q) => q.manualUserId),
+        "helper_break",
+        { message }
+      );
 
       // ✅ Trigger restructure
       await axios.post(
@@ -1212,6 +1371,7 @@ router.post(
       if (!helperId) {
         vendor.active = true; // ✅ Business resumes
         await vendor.save();
+        await endBreak(vendorId, null);
 
         // ✅ Notify all queued customers (including skipped)
         const queues = await Queue.find({
@@ -1223,32 +1383,18 @@ router.post(
           .filter((q) => q.userType === "normal" && q.userId)
           .map((q) => q.userId);
 
-        if (userIds.length > 0) {
-          const users = await User.find({
-            _id: { $in: userIds },
-            receiveNotifications: true,
-          }).select("pushToken");
-
-          const pushTokens = users.filter((u) => u.pushToken);
-          if (pushTokens.length > 0) {
-            await axios.post(
-              "https://exp.host/--/api/v2/push/send",
-              pushTokens.map((u) => ({
-                to: u.pushToken,
-                sound: "default",
-                title: "Business Resumed",
-                body: "The business has resumed operations.",
-                data: { type: "business_resumed" },
-              })),
-              {
-                headers: {
-                  "Content-Type": "application/json",
-                  Accept: "application/json",
-                },
-              }
-            );
-          }
-        }
+        await notifyMany(userIds, {
+          title: "Business Resumed",
+          body: "The business has resumed operations.",
+          data: { type: "business_resumed" },
+        });
+        await sendQueueSms(
+          vendor,
+          queues
+            .filter((q) => q.userType === "manual" && q.manualUserId)
+            .map((q) => q.manualUserId),
+          "business_resumed"
+        );
 
         return res.json({
           success: true,
@@ -1272,6 +1418,7 @@ router.post(
 
       helperConnection.active = true; // ✅ Helper resumes
       await vendor.save();
+      await endBreak(vendorId, helperId);
 
       // ✅ Notify affected customers (including skipped)
       const queues = await Queue.find({
@@ -1284,32 +1431,18 @@ router.post(
         .filter((q) => q.userType === "normal" && q.userId)
         .map((q) => q.userId);
 
-      if (userIds.length > 0) {
-        const users = await User.find({
-          _id: { $in: userIds },
-          receiveNotifications: true,
-        }).select("pushToken");
-
-        const pushTokens = users.filter((u) => u.pushToken);
-        if (pushTokens.length > 0) {
-          await axios.post(
-            "https://exp.host/--/api/v2/push/send",
-            pushTokens.map((u) => ({
-              to: u.pushToken,
-              sound: "default",
-              title: "Helper Resumed",
-              body: "Your helper has resumed work.",
-              data: { type: "helper_resumed" },
-            })),
-            {
-              headers: {
-                "Content-Type": "application/json",
-                Accept: "application/json",
-              },
-            }
-          );
-        }
-      }
+      await notifyMany(userIds, {
+        title: "Helper Resumed",
+        body: "Your helper has resumed work.",
+        data: { type: "helper_resumed" },
+      });
+      await sendQueueSms(
+        vendor,
+        queues
+          .filter((q) => q.userType === "manual" && q.manualUserId)
+          .map((q) => q.manualUserId),
+        "helper_resumed"
+      );
 
       // ✅ Trigger restructure
       await axios.post(
@@ -1385,6 +1518,8 @@ router.post(
         });
       }
 
+      const learned = await loadLearnedDurations(vendor, session);
+
       // Get all active helpers
       const activeHelpers = vendor.connectedHelpers.filter(
         (ch) => ch.status === "accepted" && ch.active
@@ -1402,7 +1537,7 @@ router.post(
       // Get all queue entries within time range
       const allQueues = await Queue.find({
         vendorId,
-        status: { $in: ["in_queue", "hold"] }, // Only active queues
+        status: { $in: ["in_queue", "in_service", "hold"] }, // Only active queues
         createdAt: { $gte: new Date(startTime), $lte: new Date(endTime) },
       })
         .populate("serviceId", "name duration rate")
@@ -1429,12 +1564,23 @@ router.post(
       });
 
       const notifications = [];
+      const updatedEntries = [];
+      const estimatedStarts = {}; // queueId -> recalculated start time
       let updatedCount = 0;
 
-      // Process each service group
+      // Each active helper's queue, across all services
+      const helperAssignments = {};
+      activeHelpers.forEach((helper) => {
+        helperAssignments[helper.helperId] = {
+          inQueue: [],
+          hold: [],
+          serving: [],
+        };
+      });
+
+      // Assign each service group to its capable helpers
       for (const serviceId in queuesByService) {
         const serviceQueues = queuesByService[serviceId];
-        const service = serviceQueues[0].serviceId;
 
         // Find capable helpers
         const capableHelpers = activeHelpers.filter((h) =>
@@ -1446,21 +1592,15 @@ router.post(
           continue;
         }
 
-        // Initialize helper assignments
-        const helperAssignments = {};
-        capableHelpers.forEach((helper) => {
-          helperAssignments[helper.helperId] = {
-            inQueue: [],
-            hold: [],
-          };
-        });
-
         // Separate queues by status
         const inQueueList = [];
         const holdList = [];
 
         for (const queue of serviceQueues) {
-          if (queue.status === "hold") {
+          if (queue.status === "in_service") {
+            // Being served: stays with its helper at its position
+            helperAssignments[queue.helperId]?.serving.push(queue);
+          } else if (queue.status === "hold") {
             holdList.push(queue);
           } else {
             // in_queue (includes skipped - they're treated as normal in_queue)
@@ -1511,193 +1651,332 @@ router.post(
             helperAssignments[capableHelpers[0].helperId].hold.push(queue);
           }
         }
+      }
 
-        // Update positions and times for all queues
-        for (const helperId in helperAssignments) {
-          const assignment = helperAssignments[helperId];
-          let currentPosition = 1;
-
-          // Process in_queue people first - they take available positions
-          for (const queue of assignment.inQueue) {
-            const oldPosition = queue.currentPosition;
-            const oldHelperId = queue.helperId;
-            const oldEstimatedWait = queue.estimatedWait;
-
-            // Skip positions blocked by hold people
-            while (
-              assignment.hold.some((h) => h.currentPosition === currentPosition)
-            ) {
-              currentPosition++;
-            }
+      // Active entries outside the time range keep their place
+      const pinned = await Queue.find({
+        vendorId,
+        helperId: { $in: Object.keys(helperAssignments) },
+        status: { $in: ACTIVE_STATUSES },
+        _id: { $nin: allQueues.map((queue) => queue._id) },
+      })
+        .populate("serviceId", "name duration rate")
+        .session(session);
 
-            const newPosition = currentPosition++;
-            const newEstimatedWait = (newPosition - 1) * service.duration;
-            const newEstimatedServiceStartTime = new Date(
-              Date.now() + newEstimatedWait * 60 * 1000
-            );
+      // Update positions and times for all queues. Each helper's queue is
+      // numbered once, so the work ahead spans all of their services.
+      for (const helperId in helperAssignments) {
+        const assignment = helperAssignments[helperId];
+        // First come, first served across services
+        assignment.inQueue.sort((a, b) => a.joiningTime - b.joiningTime);
+        const fixed = [
+          ...assignment.serving,
+          ...assignment.hold,
+          ...pinned.filter((queue) => queue.helperId === helperId),
+        ];
+        let currentPosition = 1;
+
+        // Work ahead of each entry: settle positions first, then sum the
+        // actual duration of everyone in front
+        const newPositions = {};
+        let nextPosition = 1;
+        for (const queue of assignment.inQueue) {
+          while (fixed.some((h) => h.currentPosition === nextPosition)) {
+            nextPosition++;
+          }
+          newPositions[queue._id] = nextPosition++;
+        }
+        fixed.forEach((queue) => {
+          newPositions[queue._id] = queue.currentPosition;
+        });
 
-            // Check for changes
-            const hasChanges =
-              queue.currentPosition !== newPosition ||
-              queue.helperId !== helperId ||
-              Math.abs(queue.estimatedWait - newEstimatedWait) >= 1;
-
-            if (hasChanges) {
-              const queueDoc = await Queue.findOne({
-                _id: queue._id,
-              }).session(session);
-
-              queueDoc.helperId = helperId;
-              queueDoc.currentPosition = newPosition;
-              queueDoc.estimatedWait = newEstimatedWait;
-              queueDoc.estimatedServiceStartTime = newEstimatedServiceStartTime;
-
-              queueDoc.updateHistory.push({
-                action: "edit",
-                source: "vendor",
-                timestamp: new Date(),
-                previousPosition: oldPosition,
-                newPosition,
-                estimatedWait: newEstimatedWait,
-                serviceId,
-                businessId: vendorId,
-                newlyAssignedHelperId:
-                  helperId !== oldHelperId ? helperId : undefined,
-              });
-
-              await queueDoc.save({ session });
-              updatedCount++;
+        const ordered = [...assignment.inQueue, ...fixed].sort(
+          (a, b) => newPositions[a._id] - newPositions[b._id]
+        );
+        const front = ordered[0];
+        const inProgressSince =
+          front &&
+          newPositions[front._id] === 1 &&
+          SERVING_STATUSES.includes(front.status)
+            ? getInProgressSince(
+                front,
+                await getLastCompletionTime(helperId, session)
+              )
+            : null;
+        const workAhead = {};
+        ordered.forEach((queue, index) => {
+          workAhead[queue._id] = sumWork(
+            ordered.slice(0, index),
+            inProgressSince,
+            learned
+          );
+        });
+
+        // Process in_queue people first - they take available positions
+        for (const queue of assignment.inQueue) {
+          const oldPosition = queue.currentPosition;
+          const oldHelperId = queue.helperId;
+          const oldEstimatedWait = queue.estimatedWait;
+
+          // Skip positions blocked by hold and in-service people
+          while (fixed.some((h) => h.currentPosition === currentPosition)) {
+            currentPosition++;
+          }
 
-              // Track notification for normal users
-              if (queue.userType === "normal" && queue.userId) {
-                const positionChanged = oldPosition !== newPosition;
-                const helperChanged = helperId !== oldHelperId;
-                const waitTimeChanged =
-                  Math.abs(oldEstimatedWait - newEstimatedWait) >= 5;
-
-                if (positionChanged || helperChanged || waitTimeChanged) {
-                  notifications.push({
-                    userId: queue.userId,
-                    oldPosition,
-                    newPosition,
-                    estimatedWait: newEstimatedWait,
-                    status: queue.status,
-                    helperChanged,
-                  });
-                }
+          const newPosition = currentPosition++;
+          let newEstimatedServiceStartTime = await estimateStartTime(
+            vendor,
+            helperId,
+            workAhead[queue._id].minutes,
+            queue.serviceId.duration,
+            session
+          );
+          // Merged bookings are never estimated ahead of their slot
+          if (
+            queue.scheduledStart &&
+            queue.scheduledStart > newEstimatedServiceStartTime
+          ) {
+            newEstimatedServiceStartTime = queue.scheduledStart;
+          }
+          const newEstimatedWait = minutesUntil(newEstimatedServiceStartTime);
+          estimatedStarts[queue._id] = newEstimatedServiceStartTime;
+
+          // Check for changes
+          const hasChanges =
+            queue.currentPosition !== newPosition ||
+            queue.helperId !== helperId ||
+            Math.abs(queue.estimatedWait - newEstimatedWait) >= 1;
+
+          if (hasChanges) {
+            const queueDoc = await Queue.findOne({
+              _id: queue._id,
+            }).session(session);
+
+            queueDoc.helperId = helperId;
+            queueDoc.currentPosition = newPosition;
+            queueDoc.estimatedWait = newEstimatedWait;
+            queueDoc.estimatedWaitRange = toWaitRange(
+              newEstimatedWait,
+              workAhead[queue._id]
+            );
+            queueDoc.estimatedServiceStartTime = newEstimatedServiceStartTime;
+
+            queueDoc.updateHistory.push({
+              action: "edit",
+              source: "vendor",
+              timestamp: new Date(),
+              previousPosition: oldPosition,
+              newPosition,
+              estimatedWait: newEstimatedWait,
+              serviceId: queue.serviceId._id,
+              businessId: vendorId,
+              newlyAssignedHelperId:
+                helperId !== oldHelperId ? helperId : undefined,
+            });
+
+            await queueDoc.save({ session });
+            updatedEntries.push({ queueDoc, previousHelperId: oldHelperId });
+            updatedCount++;
+
+            // Track notification for normal (push) and manual (SMS) users
+            if (queue.userId || queue.manualUserId) {
+              const positionChanged = oldPosition !== newPosition;
+              const helperChanged = helperId !== oldHelperId;
+              const waitTimeChanged =
+                Math.abs(oldEstimatedWait - newEstimatedWait) >= 5;
+
+              if (positionChanged || helperChanged || waitTimeChanged) {
+                notifications.push({
+                  userId: queue.userId,
+                  manualUserId: queue.manualUserId,
+                  oldPosition,
+                  newPosition,
+                  estimatedWait: newEstimatedWait,
+                  status: queue.status,
+                  helperChanged,
+                });
               }
             }
           }
+        }
 
-          // Process hold people - they stay at their current position
-          for (const queue of assignment.hold) {
-            const oldHelperId = queue.helperId;
-            const oldEstimatedWait = queue.estimatedWait;
-
-            // Hold people keep their position but may get new helper
-            const newEstimatedWait =
-              (queue.currentPosition - 1) * service.duration;
-            const newEstimatedServiceStartTime = new Date(
-              Date.now() + newEstimatedWait * 60 * 1000
+        // Process hold people - they stay at their current position
+        for (const queue of assignment.hold) {
+          const oldHelperId = queue.helperId;
+          const oldEstimatedWait = queue.estimatedWait;
+
+          // Hold people keep their position but may get new helper
+          const newEstimatedServiceStartTime = await estimateStartTime(
+            vendor,
+            helperId,
+            workAhead[queue._id].minutes,
+            queue.serviceId.duration,
+            session
+          );
+          const newEstimatedWait = minutesUntil(newEstimatedServiceStartTime);
+          estimatedStarts[queue._id] = newEstimatedServiceStartTime;
+
+          const hasChanges =
+            queue.helperId !== helperId ||
+            Math.abs(queue.estimatedWait - newEstimatedWait) >= 1;
+
+          if (hasChanges) {
+            const queueDoc = await Queue.findOne({
+              _id: queue._id,
+            }).session(session);
+
+            queueDoc.helperId = helperId;
+            queueDoc.estimatedWait = newEstimatedWait;
+            queueDoc.estimatedWaitRange = toWaitRange(
+              newEstimatedWait,
+              workAhead[queue._id]
             );
+            queueDoc.estimatedServiceStartTime = newEstimatedServiceStartTime;
+
+            queueDoc.updateHistory.push({
+              action: "edit",
+              source: "vendor",
+              timestamp: new Date(),
+              previousPosition: queue.currentPosition,
+              newPosition: queue.currentPosition,
+              estimatedWait: newEstimatedWait,
+              serviceId: queue.serviceId._id,
+              businessId: vendorId,
+              newlyAssignedHelperId:
+                helperId !== oldHelperId ? helperId : undefined,
+            });
+
+            await queueDoc.save({ session });
+            updatedEntries.push({ queueDoc, previousHelperId: oldHelperId });
+            updatedCount++;
+
+            // Track notification for normal (push) and manual (SMS) users
+            if (queue.userId || queue.manualUserId) {
+              const helperChanged = helperId !== oldHelperId;
+              const waitTimeChanged =
+                Math.abs(oldEstimatedWait - newEstimatedWait) >= 5;
+
+              if (helperChanged || waitTimeChanged) {
+                notifications.push({
+                  userId: queue.userId,
+                  manualUserId: queue.manualUserId,
+                  oldPosition: queue.currentPosition,
+                  newPosition: queue.currentPosition,
+                  estimatedWait: newEstimatedWait,
+                  status: queue.status,
+                  helperChanged,
+                });
+              }
+            }
+          }
+        }
+      }
 
-            const hasChanges =
-              queue.helperId !== helperId ||
-              Math.abs(queue.estimatedWait - newEstimatedWait) >= 1;
-
-            if (hasChanges) {
-              const queueDoc = await Queue.findOne({
-                _id: queue._id,
-              }).session(session);
-
-              queueDoc.helperId = helperId;
-              queueDoc.estimatedWait = newEstimatedWait;
-              queueDoc.estimatedServiceStartTime = newEstimatedServiceStartTime;
-
-              queueDoc.updateHistory.push({
-                action: "edit",
-                source: "vendor",
-                timestamp: new Date(),
-                previousPosition: queue.currentPosition,
-                newPosition: queue.currentPosition,
-                estimatedWait: newEstimatedWait,
-                serviceId,
-                businessId: vendorId,
-                newlyAssignedHelperId:
-                  helperId !== oldHelperId ? helperId : undefined,
-              });
-
-              await queueDoc.save({ session });
-              updatedCount++;
+      // Later services of a visit can't start before the earlier one ends
+      const visits = {};
+      allQueues
+        .filter((queue) => queue.visitId)
+        .forEach((queue) => {
+          visits[queue.visitId] = visits[queue.visitId] || [];
+          visits[queue.visitId].push(queue);
+        });
 
-              // Track notification for normal users
-              if (queue.userType === "normal" && queue.userId) {
-                const helperChanged = helperId !== oldHelperId;
-                const waitTimeChanged =
-                  Math.abs(oldEstimatedWait - newEstimatedWait) >= 5;
-
-                if (helperChanged || waitTimeChanged) {
-                  notifications.push({
-                    userId: queue.userId,
-                    oldPosition: queue.currentPosition,
-                    newPosition: queue.currentPosition,
-                    estimatedWait: newEstimatedWait,
-                    status: queue.status,
-                    helperChanged,
-                  });
-                }
-              }
+      for (const visitQueues of Object.values(visits)) {
+        visitQueues.sort((a, b) => a.visitSequence - b.visitSequence);
+        let previousEnd = null;
+
+        for (const queue of visitQueues) {
+          const duration = queue.serviceId.duration;
+          let start =
+            estimatedStarts[queue._id] || queue.estimatedServiceStartTime;
+
+          if (previousEnd && start < previousEnd) {
+            start = addWorkingMinutes(vendor, previousEnd, 0, duration);
+
+            const queueDoc = await Queue.findOne({
+              _id: queue._id,
+            }).session(session);
+            queueDoc.estimatedServiceStartTime = start;
+            queueDoc.estimatedWait = minutesUntil(start);
+            queueDoc.updateHistory.push({
+              action: "edit",
+              source: "vendor",
+              timestamp: new Date(),
+              previousPosition: queueDoc.currentPosition,
+              newPosition: queueDoc.currentPosition,
+              estimatedWait: queueDoc.estimatedWait,
+              serviceId: queue.serviceId._id,
+              businessId: vendorId,
+            });
+            await queueDoc.save({ session });
+
+            const updated = updatedEntries.find(
+              (entry) => entry.queueDoc._id === queueDoc._id
+            );
+            if (updated) {
+              updated.queueDoc = queueDoc;
+            } else {
+              updatedEntries.push({ queueDoc });
+              updatedCount++;
             }
           }
+
+          previousEnd = new Date(
+            start.getTime() +
+              getEntryDuration(queue, learned).minutes * 60 * 1000
+          );
         }
       }
 
       await session.commitTransaction();
 
+      updatedEntries.forEach(({ queueDoc, previousHelperId }) =>
+        emitQueueUpdate(queueDoc, "restructure", { previousHelperId })
+      );
+      await evaluateProximityAlerts(
+        updatedEntries.map(({ queueDoc }) => queueDoc)
+      );
+
       // Send notifications after successful commit
       for (const notification of notifications) {
-        try {
-          const user = await User.findOne({
-            _id: notification.userId,
-          }).select("pushToken receiveNotifications");
-
-          if (user?.receiveNotifications && user.pushToken) {
-            let message;
-            if (notification.status === "hold") {
-              message = notification.helperChanged
-                ? `Queue updated! You're on HOLD at position ${notification.newPosition}. Helper reassigned. ETA: ${notification.estimatedWait} mins`
-                : `Queue updated! You're on HOLD at position ${notification.newPosition}. ETA: ${notification.estimatedWait} mins`;
-            } else {
-              message = notification.helperChanged
-                ? `Queue updated! Position: ${notification.oldPosition} → ${notification.newPosition}. Helper reassigned. ETA: ${notification.estimatedWait} mins`
-                : `Queue updated! Position: ${notification.oldPosition} → ${notification.newPosition}. ETA: ${notification.estimatedWait} mins`;
+        if (!notification.userId) {
+          await sendQueueSms(
+            vendor,
+            notification.manualUserId,
+            notification.newPosition === 1 && notification.oldPosition !== 1
+              ? "queue_up_next"
+              : "queue_updated",
+            {
+              position: notification.newPosition,
+              wait: notification.estimatedWait,
             }
+          );
+          continue;
+        }
 
-            await axios.post(
-              "https://exp.host/--/api/v2/push/send",
-              [
-                {
-                  to: user.pushToken,
-                  sound: "default",
-                  title: "Queue Updated",
-                  body: message,
-                  data: {
-                    type: "queue_updated",
-                    newPosition: notification.newPosition,
-                    estimatedWait: notification.estimatedWait,
-                    helperChanged: notification.helperChanged,
-                    status: notification.status,
-                  },
-                },
-              ],
-              {
-                headers: {
-                  "Content-Type": "application/json",
-                  Accept: "application/json",
-                },
-              }
-            );
-          }
+        let message;
+        if (notification.status === "hold") {
+          message = notification.helperChanged
+            ? `Queue updated! You're on HOLD at position ${notification.newPosition}. Helper reassigned. ETA: ${notification.estimatedWait} mins`
+            : `Queue updated! You're on HOLD at position ${notification.newPosition}. ETA: ${notification.estimatedWait} mins`;
+        } else {
+          message = notification.helperChanged
+            ? `Queue updated! Position: ${notification.oldPosition} → ${notification.newPosition}. Helper reassigned. ETA: ${notification.estimatedWait} mins`
+            : `Queue updated! Position: ${notification.oldPosition} → ${notification.newPosition}. ETA: ${notification.estimatedWait} mins`;
+        }
+
+        try {
+          await notify(notification.userId, {
+            title: "Queue Updated",
+            body: message,
+            data: {
+              type: "queue_updated",
+              newPosition: notification.newPosition,
+              estimatedWait: notification.estimatedWait,
+              helperChanged: notification.helperChanged,
+              status: notification.status,
+            },
+          });
         } catch (notifyError) {
           console.error(
             `Notification failed for user ${notification.userId}:`,
@@ -1737,12 +2016,23 @@ router.post(
   [
     body("queueId").isString().withMessage("Valid queue ID is required"),
     body("action")
-      .isIn(["skip", "hold", "remove", "next", "add_time", "unhold", "undo"])
+      .isIn([
+        "skip",
+        "hold",
+        "remove",
+        "next",
+        "add_time",
+        "unhold",
+        "undo",
+        "start_service",
+      ])
       .withMessage("Invalid action"),
     body("addedTime")
       .optional()
       .isInt({ min: 1 })
       .withMessage("Added time must be a positive integer"),
+    // Optional bill for the entry completed by `next`
+    ...billingValidators("billing."),
   ],
   async (req, res) => {
     const errors = validationResult(req);
@@ -1752,7 +2042,7 @@ router.post(
         .json({ success: false, message: errors.array()[0].msg, data: null });
     }
 
-    const { queueId, action, addedTime } = req.body;
+    const { queueId, action, addedTime, billing } = req.body;
     const userId = req.user.id;
 
     const session = await Queue.startSession();
@@ -1797,119 +2087,121 @@ router.post(
 
       const source = isUser ? "user" : "vendor";
 
+      // The customer in the chair can't be moved around
+      if (
+        queue.status === "in_service" &&
+        ["skip", "hold", "unhold"].includes(action)
+      ) {
+        throw new Error("Queue entry is already in service");
+      }
+
       // Send notification helper
       const sendNotification = async (title, body, dataType) => {
         if (queue.userId && queue.userType === "normal") {
-          const user = await User.findById(queue.userId)
-            .select("pushToken receiveNotifications")
-            .session(session);
-          if (user?.receiveNotifications && user.pushToken) {
-            try {
-              await axios.post(
-                "https://exp.host/--/api/v2/push/send",
-                [
-                  {
-                    to: user.pushToken,
-                    sound: "default",
-                    title,
-                    body,
-                    data: { type: dataType },
-                  },
-                ],
-                {
-                  headers: {
-                    "Content-Type": "application/json",
-                    Accept: "application/json",
-                  },
-                }
-              );
-            } catch (err) {
-              console.error("Notification failed:", err);
-            }
+          try {
+            await notify(queue.userId, {
+              title,
+              body,
+              data: { type: dataType, queueId: queue._id },
+            });
+          } catch (err) {
+            console.error("Notification failed:", err);
           }
+        } else if (queue.manualUserId && queue.userType === "manual") {
+          await sendQueueSms(vendor, queue.manualUserId, dataType, {
+            position: queue.currentPosition,
+            wait: queue.estimatedWait,
+            addedTime,
+          });
         }
       };
 
+      // Entries swapped with this one, broadcast after commit
+      const swappedEntries = [];
+
       // Action handlers
       if (action === "skip") {
-        // Find next in_queue person to swap with
-        const nextPerson = await Queue.findOne({
-          vendorId: queue.vendorId,
-          helperId: queue.helperId,
-          currentPosition: { $gt: queue.currentPosition },
-          status: "in_queue",
-        })
-          .sort({ currentPosition: 1 })
-          .session(session);
-
+        const previousPosition = queue.currentPosition;
+        const nextPerson = await skipEntry(vendor, queue, source, session);
         if (!nextPerson) {
           throw new Error("No in_queue person found to swap with");
         }
+        swappedEntries.push(nextPerson);
 
-        // Swap positions
-        const tempPosition = queue.currentPosition;
-        queue.currentPosition = nextPerson.currentPosition;
-        nextPerson.currentPosition = tempPosition;
-
-        // Recalculate times
-        const service = queue.serviceId;
-        queue.estimatedWait = (queue.currentPosition - 1) * service.duration;
-        queue.estimatedServiceStartTime = new Date(
-          Date.now() + queue.estimatedWait * 60 * 1000
+        await sendNotification(
+          "Queue Updated",
+          `Your position changed from ${previousPosition} to ${queue.currentPosition}`,
+          "queue_skip"
         );
+      } else if (action === "start_service") {
+        if (queue.status !== "in_queue") {
+          throw new Error("Only a waiting queue entry can be started");
+        }
 
-        nextPerson.estimatedWait =
-          (nextPerson.currentPosition - 1) * service.duration;
-        nextPerson.estimatedServiceStartTime = new Date(
-          Date.now() + nextPerson.estimatedWait * 60 * 1000
-        );
+        // Only position 1 can be served
+        if (queue.currentPosition !== 1) {
+          throw new Error("Only the first person in queue can be started");
+        }
+
+        // Services of a visit are done in order
+        if (await getVisitChainStart(queue, session)) {
+          throw new Error(
+            "An earlier service in this visit has not been completed yet"
+          );
+        }
+
+        const now = new Date();
+        queue.status = "in_service";
+        queue.serviceStartedAt = now;
+        queue.estimatedServiceStartTime = now;
+        queue.estimatedWait = 0;
+        queue.estimatedWaitRange = { min: 0, max: 0 };
 
-        // Update histories
         queue.updateHistory.push({
-          action: "skip",
+          action: "start_service",
           source,
-          timestamp: new Date(),
-          previousPosition: tempPosition,
+          timestamp: now,
+          previousPosition: queue.currentPosition,
           newPosition: queue.currentPosition,
-          estimatedWait: queue.estimatedWait,
-        });
-
-        nextPerson.updateHistory.push({
-          action: "skip",
-          source,
-          timestamp: new Date(),
-          previousPosition: nextPerson.currentPosition,
-          newPosition: tempPosition,
-          estimatedWait: nextPerson.estimatedWait,
+          estimatedWait: 0,
         });
 
-        await nextPerson.save({ session });
         await queue.save({ session });
+        await session.commitTransaction();
+        emitQueueUpdate(queue, action);
 
         await sendNotification(
-          "Queue Updated",
-          `Your position changed from ${tempPosition} to ${queue.currentPosition}`,
-          "queue_skip"
+          "Service Started",
+          "Your service has started",
+          "queue_start_service"
         );
-      } else if (action === "hold") {
-        if (queue.status === "hold") {
-          throw new Error("Queue entry is already on hold");
-        }
 
-        const previousPosition = queue.currentPosition;
-        queue.status = "hold";
+        // Trigger restructure so estimates count from the actual start
+        try {
+          await axios.post(
+            `${req.protocol}://${req.get("host")}/api/queue/restructure-queue`,
+            {
+              vendorId: queue.vendorId,
+              startTime: new Date().toISOString(),
+              endTime: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(),
+            },
+            { headers: { Authorization: req.headers.authorization } }
+          );
+        } catch (err) {
+          console.error("Restructure trigger failed:", err);
+        }
 
-        queue.updateHistory.push({
-          action: "hold",
-          source,
-          timestamp: new Date(),
-          previousPosition,
-          newPosition: queue.currentPosition,
-          estimatedWait: queue.estimatedWait,
+        return res.json({
+          success: true,
+          message: "Service started successfully",
+          data: queue,
         });
+      } else if (action === "hold") {
+        holdEntry(queue, source);
 
         await queue.save({ session });
         await session.commitTransaction();
+        emitQueueUpdate(queue, action);
 
         await sendNotification(
           "Queue On Hold",
@@ -1944,6 +2236,7 @@ router.post(
 
         const previousPosition = queue.currentPosition;
         queue.status = "in_queue";
+        queue.checkInHold = false;
 
         queue.updateHistory.push({
           action: "unhold",
@@ -1956,6 +2249,7 @@ router.post(
 
         await queue.save({ session });
         await session.commitTransaction();
+        emitQueueUpdate(queue, action);
 
         await sendNotification(
           "Queue Resumed",
@@ -1984,24 +2278,21 @@ router.post(
           data: queue,
         });
       } else if (action === "remove") {
-        const previousPosition = queue.currentPosition;
-        queue.status = "removed";
-
-        queue.updateHistory.push({
-          action: "remove",
-          source,
-          timestamp: new Date(),
-          previousPosition,
-          newPosition: queue.currentPosition,
-          estimatedWait: queue.estimatedWait,
-        });
+        removeEntry(queue, source);
+        // Online payments are returned when the vendor turns a customer away
+        const refundDue = source === "vendor" && markRefundDue(queue);
 
         await queue.save({ session });
         await session.commitTransaction();
+        emitQueueUpdate(queue, action);
+
+        if (refundDue) await refundQueuePayment(queue._id);
 
         await sendNotification(
           "Removed from Queue",
-          "You have been removed from the queue",
+          refundDue
+            ? "You have been removed from the queue. Your payment is being refunded"
+            : "You have been removed from the queue",
           "queue_remove"
         );
 
@@ -2037,7 +2328,15 @@ router.post(
           throw new Error("Queue entry is already completed");
         }
 
+        // Services of a visit are done in order
+        if (await getVisitChainStart(queue, session)) {
+          throw new Error(
+            "An earlier service in this visit has not been completed yet"
+          );
+        }
+
         const previousPosition = queue.currentPosition;
+        await stampCompletion(queue, session);
         queue.status = "completed";
 
         queue.updateHistory.push({
@@ -2049,8 +2348,13 @@ router.post(
           estimatedWait: queue.estimatedWait,
         });
 
+        const invoice = billing
+          ? await createInvoice(vendor, queue, billing, userId, session)
+          : null;
+
         await queue.save({ session });
         await session.commitTransaction();
+        emitQueueUpdate(queue, action);
 
         await sendNotification(
           "Service Completed",
@@ -2076,7 +2380,13 @@ router.post(
         return res.json({
           success: true,
           message: "Service marked as completed successfully",
-          data: queue,
+          data: invoice
+            ? {
+                ...queue.toObject(),
+                invoice,
+                receiptUrl: getReceiptUrl(req, invoice),
+              }
+            : queue,
         });
       } else if (action === "add_time") {
         if (!addedTime) {
@@ -2101,6 +2411,7 @@ router.post(
 
         await queue.save({ session });
         await session.commitTransaction();
+        emitQueueUpdate(queue, action);
 
         await sendNotification(
           "Wait Time Updated",
@@ -2134,10 +2445,10 @@ router.post(
           throw new Error("User actions cannot be undone");
         }
 
-        // Get last vendor action within 5 minutes
+        // Get last vendor or automatic (no-show, check-in) action within 5 minutes
         const recentActions = queue.updateHistory.filter(
           (h) =>
-            h.source === "vendor" &&
+            ["vendor", "system"].includes(h.source) &&
             h.timestamp > new Date(Date.now() - 5 * 60 * 1000)
         );
 
@@ -2165,17 +2476,16 @@ router.post(
           queue.currentPosition = lastAction.previousPosition;
           swappedPerson.currentPosition = tempPosition;
 
-          // Recalculate times
+          // Recalculate times once the swap is visible to the estimator
           const service = queue.serviceId;
-          queue.estimatedWait = (queue.currentPosition - 1) * service.duration;
-          queue.estimatedServiceStartTime = new Date(
-            Date.now() + queue.estimatedWait * 60 * 1000
-          );
-
-          swappedPerson.estimatedWait =
-            (swappedPerson.currentPosition - 1) * service.duration;
-          swappedPerson.estimatedServiceStartTime = new Date(
-            Date.now() + swappedPerson.estimatedWait * 60 * 1000
+          await swappedPerson.save({ session });
+          await queue.save({ session });
+          await refreshEstimate(vendor, queue, service.duration, session);
+          await refreshEstimate(
+            vendor,
+            swappedPerson,
+            service.duration,
+            session
           );
 
           queue.updateHistory.push({
@@ -2198,6 +2508,7 @@ router.post(
 
           await swappedPerson.save({ session });
           await queue.save({ session });
+          swappedEntries.push(swappedPerson);
 
           await sendNotification(
             "Queue Restored",
@@ -2218,6 +2529,7 @@ router.post(
 
           await queue.save({ session });
           await session.commitTransaction();
+          emitQueueUpdate(queue, "undo");
 
           await sendNotification(
             "Queue Restored",
@@ -2263,6 +2575,7 @@ router.post(
 
           await queue.save({ session });
           await session.commitTransaction();
+          emitQueueUpdate(queue, "undo");
 
           await sendNotification(
             "Queue Restored",
@@ -2295,6 +2608,13 @@ router.post(
             data: queue,
           });
         } else if (lastAction.action === "remove") {
+          // The customer's money is already on its way back
+          if (["refund_pending", "refunded"].includes(queue.payment?.status)) {
+            throw new Error(
+              "Payment has been refunded; add the customer again"
+            );
+          }
+
           queue.status = "in_queue";
 
           queue.updateHistory.push({
@@ -2308,6 +2628,7 @@ router.post(
 
           await queue.save({ session });
           await session.commitTransaction();
+          emitQueueUpdate(queue, "undo");
 
           await sendNotification(
             "Queue Restored",
@@ -2340,7 +2661,15 @@ router.post(
             data: queue,
           });
         } else if (lastAction.action === "next") {
-          queue.status = "in_queue";
+          // Invoices are numbered without gaps, so a bill stays issued
+          if (queue.invoiceId) {
+            throw new Error("Queue entry has been billed; it can't be undone");
+          }
+
+          queue.status = queue.serviceStartedAt ? "in_service" : "in_queue";
+          queue.completedAt = undefined;
+          queue.actualWait = undefined;
+          queue.actualServiceDuration = undefined;
 
           queue.updateHistory.push({
             action: "undo",
@@ -2353,6 +2682,7 @@ router.post(
 
           await queue.save({ session });
           await session.commitTransaction();
+          emitQueueUpdate(queue, "undo");
 
           await sendNotification(
             "Queue Restored",
@@ -2403,6 +2733,7 @@ router.post(
 
           await queue.save({ session });
           await session.commitTransaction();
+          emitQueueUpdate(queue, "undo");
 
           await sendNotification(
             "Wait Time Updated",
@@ -2434,14 +2765,64 @@ router.post(
             message: "Add time action undone successfully",
             data: queue,
           });
-        } else {
-          throw new Error(`Cannot undo action: ${lastAction.action}`);
-        }
-      }
+        } else if (lastAction.action === "start_service") {
+          if (queue.status !== "in_service") {
+            throw new Error("Queue entry is no longer in service");
+          }
 
-      await session.commitTransaction();
+          queue.status = "in_queue";
+          queue.serviceStartedAt = undefined;
 
-      res.json({
+          queue.updateHistory.push({
+            action: "undo",
+            source,
+            timestamp: new Date(),
+            previousPosition: queue.currentPosition,
+            newPosition: queue.currentPosition,
+            estimatedWait: queue.estimatedWait,
+          });
+
+          await queue.save({ session });
+          await session.commitTransaction();
+          emitQueueUpdate(queue, "undo");
+
+          // Trigger restructure
+          try {
+            await axios.post(
+              `${req.protocol}://${req.get(
+                "host"
+              )}/api/queue/restructure-queue`,
+              {
+                vendorId: queue.vendorId,
+                startTime: new Date().toISOString(),
+                endTime: new Date(
+                  Date.now() + 24 * 60 * 60 * 1000
+                ).toISOString(),
+              },
+              { headers: { Authorization: req.headers.authorization } }
+            );
+          } catch (err) {
+            console.error("Restructure trigger failed:", err);
+          }
+
+          return res.json({
+            success: true,
+            message: "Start service action undone successfully",
+            data: queue,
+          });
+        } else {
+          throw new Error(`Cannot undo action: ${lastAction.action}`);
+        }
+      }
+
+      await session.commitTransaction();
+
+      [queue, ...swappedEntries].forEach((entry) =>
+        emitQueueUpdate(entry, action)
+      );
+      await evaluateProximityAlerts([queue, ...swappedEntries]);
+
+      res.json({
         success: true,
         message: `Queue action ${action} performed successfully`,
         data: queue,
@@ -2460,6 +2841,418 @@ router.post(
   }
 );
 
+// Visit Action (Cancel, Move, Complete all services of a visit together)
+router.post(
+  "/visit-action",
+  verifyUser,
+  [
+    body("visitId").isString().withMessage("Valid visit ID is required"),
+    body("action")
+      .isIn(["cancel", "move", "complete"])
+      .withMessage("Invalid action"),
+    body("targetPosition")
+      .if(body("action").equals("move"))
+      .isInt({ min: 1 })
+      .withMessage("Target position must be a positive integer"),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res
+        .status(400)
+        .json({ success: false, message: errors.array()[0].msg, data: null });
+    }
+
+    const { visitId, action, targetPosition } = req.body;
+    const userId = req.user.id;
+
+    const session = await Queue.startSession();
+    session.startTransaction();
+
+    try {
+      const entries = await Queue.find({
+        visitId,
+        status: { $in: ["in_queue", "in_service", "hold", "skipped"] },
+      })
+        .populate("serviceId")
+        .sort({ visitSequence: 1 })
+        .session(session);
+
+      if (entries.length === 0) {
+        throw new Error("Visit not found or has no active services");
+      }
+
+      // Verify authorization
+      const vendor = await Vendor.findById(entries[0].vendorId).session(
+        session
+      );
+      if (!vendor || vendor.isDeleted || vendor.isSuspended) {
+        throw new Error("Vendor not found or inactive");
+      }
+
+      const isUser = entries[0].userId && entries[0].userId === userId;
+      const isOwner = vendor.accountType === "owner" && vendor._id === userId;
+      const isHelper =
+        vendor.accountType === "owner" &&
+        vendor.connectedHelpers.some(
+          (h) => h.helperId === userId && h.status === "accepted" && h.active
+        );
+
+      // User can only cancel their own visit
+      if (!(isOwner || isHelper || (isUser && action === "cancel"))) {
+        throw new Error("Unauthorized to perform this action");
+      }
+
+      const source = isUser ? "user" : "vendor";
+      const changed = new Map(); // queueId -> document, broadcast after commit
+      const refundIds = []; // entries to refund once committed
+
+      if (action === "cancel" || action === "complete") {
+        for (const entry of entries) {
+          if (
+            action === "complete" &&
+            (entry.serviceStartedAt || entry.currentPosition === 1)
+          ) {
+            await stampCompletion(entry, session);
+          }
+          entry.status = action === "cancel" ? "removed" : "completed";
+          entry.updateHistory.push({
+            action: action === "cancel" ? "remove" : "next",
+            source,
+            timestamp: new Date(),
+            previousPosition: entry.currentPosition,
+            newPosition: entry.currentPosition,
+            estimatedWait: entry.estimatedWait,
+          });
+          if (
+            action === "cancel" &&
+            source === "vendor" &&
+            markRefundDue(entry)
+          ) {
+            refundIds.push(entry._id);
+          }
+          await entry.save({ session });
+          changed.set(entry._id, entry);
+        }
+      } else {
+        if (entries.some((entry) => entry.status === "in_service")) {
+          throw new Error("A service in this visit has already started");
+        }
+
+        const learned = await loadLearnedDurations(vendor, session);
+        let previousEnd = null;
+
+        for (const entry of entries) {
+          // Re-number this helper's queue with the visit entry at its target
+          const helperQueue = await Queue.find({
+            vendorId: entry.vendorId,
+            helperId: entry.helperId,
+            status: { $in: ["in_queue", "in_service", "hold", "skipped"] },
+            _id: { $ne: entry._id },
+          })
+            .populate("serviceId")
+            .sort({ currentPosition: 1 })
+            .session(session);
+
+          // Nobody moves ahead of a customer already being served
+          const serving = helperQueue.filter(
+            (queue) => queue.status === "in_service"
+          ).length;
+          const target = Math.max(
+            serving + 1,
+            Math.min(targetPosition, helperQueue.length + 1)
+          );
+          helperQueue.splice(target - 1, 0, entry);
+
+          const front = helperQueue[0];
+          const inProgressSince = SERVING_STATUSES.includes(front.status)
+            ? getInProgressSince(
+                front,
+                await getLastCompletionTime(entry.helperId, session)
+              )
+            : null;
+
+          for (const [index, queue] of helperQueue.entries()) {
+            const newPosition = index + 1;
+            if (queue !== entry && queue.currentPosition === newPosition) {
+              continue;
+            }
+
+            const previousPosition = queue.currentPosition;
+            const work = sumWork(
+              helperQueue.slice(0, index),
+              inProgressSince,
+              learned
+            );
+            queue.currentPosition = newPosition;
+            queue.estimatedServiceStartTime = await estimateStartTime(
+              vendor,
+              queue.helperId,
+              work.minutes,
+              queue.serviceId.duration,
+              session,
+              queue === entry ? previousEnd : null
+            );
+            queue.estimatedWait = minutesUntil(queue.estimatedServiceStartTime);
+            queue.estimatedWaitRange = toWaitRange(queue.estimatedWait, work);
+
+            queue.updateHistory.push({
+              action: "edit",
+              source,
+              timestamp: new Date(),
+              previousPosition,
+              newPosition,
+              estimatedWait: queue.estimatedWait,
+              businessId: vendor._id,
+            });
+            await queue.save({ session });
+            changed.set(queue._id, queue);
+          }
+
+          previousEnd = new Date(
+            entry.estimatedServiceStartTime.getTime() +
+              getEntryDuration(entry, learned).minutes * 60 * 1000
+          );
+        }
+      }
+
+      await session.commitTransaction();
+
+      changed.forEach((entry) => emitQueueUpdate(entry, `visit_${action}`));
+      for (const queueId of refundIds) await refundQueuePayment(queueId);
+
+      // Trigger restructure once the visit leaves the queue
+      if (action !== "move") {
+        try {
+          await axios.post(
+            `${req.protocol}://${req.get("host")}/api/queue/restructure-queue`,
+            {
+              vendorId: vendor._id,
+              startTime: new Date().toISOString(),
+              endTime: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(),
+            },
+            { headers: { Authorization: req.headers.authorization } }
+          );
+        } catch (err) {
+          console.error("Restructure trigger failed:", err);
+        }
+      }
+
+      res.json({
+        success: true,
+        message: `Visit action ${action} performed successfully`,
+        data: entries,
+      });
+    } catch (error) {
+      await session.abortTransaction();
+      console.error(`Error performing visit action ${action}:`, error);
+      res.status(500).json({
+        success: false,
+        message: error.message || `Failed to perform visit action ${action}`,
+        data: null,
+      });
+    } finally {
+      session.endSession();
+    }
+  }
+);
+
+// Subscribe to "almost up" alerts for a queue entry (customer only).
+// Send null to clear a threshold; changing one re-arms its alert.
+router.post(
+  "/proximity-alerts",
+  verifyUser,
+  [
+    body("queueId").isString().withMessage("Valid queue ID is required"),
+    body("position")
+      .optional({ values: "null" })
+      .isInt({ min: 1 })
+      .withMessage("Position must be a positive integer"),
+    body("waitMinutes")
+      .optional({ values: "null" })
+      .isInt({ min: 1 })
+      .withMessage("Wait minutes must be a positive integer"),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res
+        .status(400)
+        .json({ success: false, message: errors.array()[0].msg, data: null });
+    }
+
+    const { queueId, position, waitMinutes } = req.body;
+
+    try {
+      const queue = await Queue.findOne({
+        _id: queueId,
+        userId: req.user.id,
+        status: { $in: ["in_queue", "hold", "skipped"] },
+      });
+      if (!queue) {
+        return res.status(404).json({
+          success: false,
+          message: "Queue entry not found or no longer active",
+          data: null,
+        });
+      }
+
+      const alerts = queue.proximityAlerts || {};
+      if (position !== undefined) {
+        alerts.position = position;
+        alerts.positionSentAt = undefined;
+      }
+      if (waitMinutes !== undefined) {
+        alerts.waitMinutes = waitMinutes;
+        alerts.waitSentAt = undefined;
+      }
+      queue.proximityAlerts = alerts;
+      await queue.save();
+
+      // Already within range: alert straight away
+      await evaluateProximityAlerts([queue]);
+
+      res.json({
+        success: true,
+        message: "Proximity alerts updated successfully",
+        data: queue.proximityAlerts,
+      });
+    } catch (error) {
+      console.error("Error updating proximity alerts:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to update proximity alerts",
+        data: null,
+      });
+    }
+  }
+);
+
+// Check In Customer (Vendor or Helper scans the customer's QR code)
+router.post(
+  "/check-in",
+  verifyUser,
+  [body("token").isString().withMessage("Valid check-in token is required")],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res
+        .status(400)
+        .json({ success: false, message: errors.array()[0].msg, data: null });
+    }
+
+    const { token } = req.body;
+    const userId = req.user.id;
+
+    const payload = verifyCheckInToken(token);
+    if (!payload) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired check-in code",
+        data: null,
+      });
+    }
+
+    const session = await Queue.startSession();
+    session.startTransaction();
+
+    try {
+      const vendor = await Vendor.findById(payload.vendorId).session(session);
+      if (!vendor || vendor.isDeleted || vendor.isSuspended) {
+        throw new Error("Vendor not found or inactive");
+      }
+
+      // Only staff of the business the entry belongs to can scan it
+      const isOwner = vendor._id === userId;
+      const isHelper = vendor.connectedHelpers.some(
+        (h) => h.helperId === userId && h.status === "accepted" && h.active
+      );
+      if (!isOwner && !isHelper) {
+        throw new Error("Unauthorized to check in customers for this business");
+      }
+
+      const queue = await Queue.findOne({
+        _id: payload.queueId,
+        vendorId: vendor._id,
+        status: { $in: ["in_queue", "hold", "skipped"] },
+      }).session(session);
+      if (!queue) {
+        throw new Error("Queue entry not found or no longer active");
+      }
+
+      if (queue.checkedInAt) {
+        await session.abortTransaction();
+        return res.json({
+          success: true,
+          message: "Customer already checked in",
+          data: queue,
+        });
+      }
+
+      queue.checkedInAt = new Date();
+      queue.updateHistory.push({
+        action: "check_in",
+        source: "vendor",
+        timestamp: queue.checkedInAt,
+        previousPosition: queue.currentPosition,
+        newPosition: queue.currentPosition,
+        estimatedWait: queue.estimatedWait,
+      });
+
+      // Release a hold placed only because the customer wasn't here yet
+      const released = queue.status === "hold" && queue.checkInHold;
+      if (released) {
+        queue.status = "in_queue";
+        queue.checkInHold = false;
+        queue.updateHistory.push({
+          action: "unhold",
+          source: "vendor",
+          timestamp: new Date(),
+          previousPosition: queue.currentPosition,
+          newPosition: queue.currentPosition,
+          estimatedWait: queue.estimatedWait,
+        });
+      }
+
+      await queue.save({ session });
+      await session.commitTransaction();
+      emitQueueUpdate(queue, "check_in");
+
+      if (released) {
+        try {
+          await axios.post(
+            `${req.protocol}://${req.get("host")}/api/queue/restructure-queue`,
+            {
+              vendorId: queue.vendorId,
+              startTime: new Date().toISOString(),
+              endTime: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(),
+            },
+            { headers: { Authorization: req.headers.authorization } }
+          );
+        } catch (err) {
+          console.error("Restructure trigger failed:", err);
+        }
+      }
+
+      res.json({
+        success: true,
+        message: "Customer checked in successfully",
+        data: queue,
+      });
+    } catch (error) {
+      await session.abortTransaction();
+      console.error("Error checking in customer:", error);
+      res.status(500).json({
+        success: false,
+        message: error.message || "Failed to check in customer",
+        data: null,
+      });
+    } finally {
+      session.endSession();
+    }
+  }
+);
+
 // Helper Recent Actions Route
 router.post(
   "/helper-recent-actions",
@@ -2660,7 +3453,7 @@ router.post(
       // Step 3: Fetch all active businesses
       let businesses = await Vendor.find(businessQuery)
         .select(
-          "_id businessName businessType businessAddress workingHours location avatar noOfSeats"
+          "_id businessName businessType businessAddress workingHours hoursExceptions location avatar noOfSeats"
         )
         .lean();
 
@@ -2865,6 +3658,8 @@ router.post(
           avatar: business.avatar,
           noOfSeats: business.noOfSeats,
           workingHours: business.workingHours,
+          isOpenNow: isOpenNow(business),
+          nextOpenAt: getNextOpenAt(business),
           location: business.location,
           distance: business.distance,
           rating: stats.avgRating,
@@ -5,6 +5,8 @@ const { v4: uuidv4 } = require("uuid");
 const { body, validationResult } = require("express-validator");
 const verifyUser = require("../middlewares/verifyUser");
 const Vendor = require("../models/Vendor");
+const ServiceDurationStat = require("../models/ServiceDurationStat");
+const { getEntitlements, entitlementDenial } = require("../utils/entitlements");
 
 // Create Rate Cards (List of objects, requires authentication)
 router.post(
@@ -50,6 +52,23 @@ router.post(
     }
 
     try {
+      const entitlements = await getEntitlements(vendorId);
+      const existing = await RateCard.countDocuments({
+        createdBy: vendorId,
+        isDeleted: false,
+      });
+      if (existing + rateCards.length > entitlements.limits.rateCards) {
+        return res
+          .status(403)
+          .json(
+            entitlementDenial(
+              entitlements,
+              "rateCards",
+              entitlements.limits.rateCards
+            )
+          );
+      }
+
       const newRateCards = rateCards.map((card) => ({
         _id: uuidv4(),
         name: card.name,
@@ -224,4 +243,84 @@ router.delete("/rate-cards/:id", verifyUser, async (req, res) => {
   }
 });
 
+// Learned service durations (owner or helper of the business)
+router.get("/duration-stats", verifyUser, async (req, res) => {
+  const { serviceId, helperId } = req.query;
+
+  try {
+    const vendor = await Vendor.findById(req.user.id).lean();
+    if (!vendor || vendor.isDeleted || vendor.isSuspended) {
+      return res.status(404).json({
+        success: false,
+        message: "Vendor not found or inactive",
+        data: null,
+      });
+    }
+
+    const businessId =
+      vendor.accountType === "owner" ? vendor._id : vendor.helperJointBusiness;
+    const owner =
+      businessId === vendor._id
+        ? vendor
+        : await Vendor.findById(businessId).lean();
+    if (!owner) {
+      return res.status(404).json({
+        success: false,
+        message: "Helper is not connected to a business",
+        data: null,
+      });
+    }
+
+    const rateCardQuery = { createdBy: businessId, isDeleted: false };
+    if (serviceId) rateCardQuery._id = serviceId;
+    const rateCards = await RateCard.find(rateCardQuery)
+      .select("_id name duration")
+      .lean();
+
+    const statQuery = {
+      vendorId: businessId,
+      serviceId: { $in: rateCards.map((card) => card._id) },
+    };
+    if (helperId) statQuery.helperId = { $in: [null, helperId] };
+    const stats = await ServiceDurationStat.find(statQuery).lean();
+
+    const toStat = (stat) => ({
+      sampleCount: stat.sampleCount,
+      median: stat.median,
+      p90: stat.p90,
+      computedAt: stat.computedAt,
+    });
+
+    const services = rateCards.map((card) => {
+      const cardStats = stats.filter((stat) => stat.serviceId === card._id);
+      const overall = cardStats.find((stat) => !stat.helperId);
+      return {
+        serviceId: card._id,
+        serviceName: card.name,
+        configuredDuration: card.duration,
+        learned: overall ? toStat(overall) : null,
+        helpers: cardStats
+          .filter((stat) => stat.helperId)
+          .map((stat) => ({ helperId: stat.helperId, ...toStat(stat) })),
+      };
+    });
+
+    res.json({
+      success: true,
+      message: "Duration stats retrieved successfully",
+      data: {
+        useLearnedDurations: !!owner.useLearnedDurations,
+        services,
+      },
+    });
+  } catch (error) {
+    console.error("Error retrieving duration stats:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve duration stats",
+      data: null,
+    });
+  }
+});
+
 module.exports = router;
@@ -2,24 +2,21 @@ const express = require("express");
 const router = express.Router();
 const { v4: uuidv4 } = require("uuid");
 const redis = require("redis");
-const nodemailer = require("nodemailer");
 const SupportRequest = require("../models/SupportRequest");
 const redisClient = redis.createClient({ url: process.env.REDIS_URL });
 redisClient.connect().catch(console.error);
 const { body, validationResult } = require("express-validator");
 const verifyUser = require("../middlewares/verifyUser");
-const axios = require("axios");
+const { notifyPushTokens } = require("../utils/notifications");
+const {
+  receiveAttachments,
+  uploadAttachments,
+  addTicketMessage,
+  notifySupportOfReply,
+} = require("../utils/supportTickets");
 const bcrypt = require("bcrypt");
 const User = require("../models/User");
-
-// Nodemailer setup
-const transporter = nodemailer.createTransport({
-  service: "gmail",
-  auth: {
-    user: process.env.EMAIL_USER || "",
-    pass: process.env.EMAIL_PASS || "",
-  },
-});
+const transporter = require("../utils/mailer");
 const CODE_TTL = 15 * 60; // 15 minutes in seconds
 
 //for customers - not for vendors
@@ -146,6 +143,7 @@ router.post(
   "/contact-support",
   [
     verifyUser,
+    receiveAttachments,
     body("subject").notEmpty().withMessage("Subject is required"),
     body("message").notEmpty().withMessage("Message is required"),
     body("email").optional(),
@@ -164,20 +162,21 @@ router.post(
     const { subject, message, email, accountType } = req.body;
     const createdBy = req.user.id; // Get user ID from verified token
 
-    const supportRequest = new SupportRequest({
-      subject,
-      message,
-      email,
-      createdBy,
-      accountType,
-    });
-
     try {
+      const supportRequest = new SupportRequest({
+        subject,
+        message,
+        email,
+        createdBy,
+        accountType,
+        attachments: await uploadAttachments(req.files),
+      });
+
       await supportRequest.save();
       res.json({
         success: true,
         message: "Support request submitted successfully",
-        data: null,
+        data: { ticketId: supportRequest._id },
         token: null,
       });
     } catch (error) {
@@ -191,6 +190,182 @@ router.post(
   }
 );
 
+// My Support Tickets (newest first, optional ?status=, paginated)
+router.get("/support-tickets", verifyUser, async (req, res) => {
+  const page = Math.max(1, parseInt(req.query.page) || 1);
+  const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+
+  try {
+    const query = { createdBy: req.user.id };
+    if (req.query.status) query.status = req.query.status;
+
+    const [tickets, total] = await Promise.all([
+      SupportRequest.find(query)
+        .select("-messages")
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      SupportRequest.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      message: "Support tickets retrieved successfully",
+      data: { tickets, total, page, limit },
+    });
+  } catch (error) {
+    console.error("Error retrieving support tickets:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve support tickets",
+      data: null,
+    });
+  }
+});
+
+// Support Ticket with its full thread (creator only)
+router.get("/support-tickets/:id", verifyUser, async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const ticket = await SupportRequest.findOne({
+      _id: id,
+      createdBy: req.user.id,
+    }).lean();
+    if (!ticket) {
+      return res.status(404).json({
+        success: false,
+        message: "Support ticket not found",
+        data: null,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Support ticket retrieved successfully",
+      data: ticket,
+    });
+  } catch (error) {
+    console.error("Error retrieving support ticket:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve support ticket",
+      data: null,
+    });
+  }
+});
+
+// Reply to My Support Ticket (multipart, optional "attachments" files).
+// Replying to a closed ticket reopens it.
+router.post(
+  "/support-tickets/reply",
+  [
+    verifyUser,
+    receiveAttachments,
+    body("ticketId").isString().withMessage("Valid ticket ID is required"),
+    body("message").notEmpty().withMessage("Message is required"),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res
+        .status(400)
+        .json({ success: false, message: errors.array()[0].msg, data: null });
+    }
+
+    const { ticketId, message } = req.body;
+
+    try {
+      const ticket = await SupportRequest.findOne({
+        _id: ticketId,
+        createdBy: req.user.id,
+      });
+      if (!ticket) {
+        return res.status(404).json({
+          success: false,
+          message: "Support ticket not found",
+          data: null,
+        });
+      }
+
+      const reply = {
+        authorType: "requester",
+        authorId: req.user.id,
+        message,
+        attachments: await uploadAttachments(req.files),
+      };
+      addTicketMessage(ticket, reply);
+      if (ticket.status === "closed") ticket.status = "open";
+      await ticket.save();
+
+      await notifySupportOfReply(ticket, reply);
+
+      res.json({
+        success: true,
+        message: "Reply sent successfully",
+        data: ticket,
+      });
+    } catch (error) {
+      console.error("Error replying to support ticket:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to send reply",
+        data: null,
+      });
+    }
+  }
+);
+
+// Close My Support Ticket
+router.post(
+  "/support-tickets/close",
+  [
+    verifyUser,
+    body("ticketId").isString().withMessage("Valid ticket ID is required"),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res
+        .status(400)
+        .json({ success: false, message: errors.array()[0].msg, data: null });
+    }
+
+    try {
+      const ticket = await SupportRequest.findOneAndUpdate(
+        {
+          _id: req.body.ticketId,
+          createdBy: req.user.id,
+          status: { $ne: "closed" },
+        },
+        { status: "closed" },
+        { new: true }
+      );
+      if (!ticket) {
+        return res.status(404).json({
+          success: false,
+          message: "Open support ticket not found",
+          data: null,
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Support ticket closed successfully",
+        data: ticket,
+      });
+    } catch (error) {
+      console.error("Error closing support ticket:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to close support ticket",
+        data: null,
+      });
+    }
+  }
+);
+
 // Route to send bulk push notifications to Expo
 router.post(
   "/send-push-notifications",
@@ -216,53 +391,31 @@ router.post(
 
     const { pushTokens, title, message } = req.body;
 
-    // Format messages for Expo Push API
-    const messages = pushTokens.map((token) => ({
-      to: token,
-      sound: "default",
-      title: title,
-      body: message,
-      data: { type: "notification" }, // Optional: Add custom data if needed
-    }));
-
     try {
-      // Send bulk push notification request to Expo
-      const response = await axios.post(
-        "https://exp.host/--/api/v2/push/send",
-        messages,
-        {
-          headers: {
-            "Content-Type": "application/json",
-            Accept: "application/json",
-          },
-        }
-      );
-
-      // Handle Expo API response
-      const { data } = response;
-      if (data.errors) {
-        console.error("Expo API errors:", data.errors);
-        return res.status(500).json({
-          success: false,
-          message: "Failed to send some notifications",
-          data: data.errors,
-        });
-      }
+      // Recorded in the outbox; failed sends are retried in the background
+      const notifications = await notifyPushTokens(pushTokens, {
+        title,
+        body: message,
+        data: { type: "notification" },
+      });
 
       res.json({
         success: true,
-        message: "Push notifications sent successfully",
-        data: data.data, // Contains ticket IDs for each notification
+        message: "Push notifications queued successfully",
+        data: notifications.map((notification) => ({
+          notificationId: notification._id,
+          pushToken: notification.pushToken,
+          status: notification.status,
+          ticketId: notification.ticketId,
+          error: notification.lastError,
+        })),
       });
     } catch (error) {
-      console.error(
-        "Error sending push notifications:",
-        error.response?.data || error.message
-      );
+      console.error("Error sending push notifications:", error);
       res.status(500).json({
         success: false,
         message: "Failed to send push notifications",
-        data: error.response?.data || null,
+        data: null,
       });
     }
   }
@@ -2,19 +2,14 @@ const express = require("express");
 const router = express.Router();
 const redis = require("redis");
 const { body, validationResult } = require("express-validator");
-const twilio = require("twilio");
 const { v4: uuidv4 } = require("uuid");
+const twilioClient = require("../utils/twilioClient");
 
 const redisClient = redis.createClient({ url: process.env.REDIS_URL });
 redisClient
   .connect()
   .catch((err) => console.error("Redis connection error:", err));
 
-// Twilio client setup
-const twilioClient = twilio(
-  process.env.TWILIO_ACCOUNT_SID,
-  process.env.TWILIO_AUTH_TOKEN
-);
 const CODE_TTL = 15 * 60; // 15 minutes in seconds
 
 // Generate SMS Code
@@ -16,12 +16,13 @@ cloudinary.config({
 });
 
 // Helper: Upload buffer to Cloudinary (returns Promise)
-function uploadToCloudinary(buffer, originalname) {
+// resourceType "auto" also accepts documents such as PDFs
+function uploadToCloudinary(buffer, originalname, resourceType = "image") {
   return new Promise((resolve, reject) => {
     const stream = cloudinary.uploader.upload_stream(
       {
         folder: "QVuew",
-        resource_type: "image",
+        resource_type: resourceType,
         public_id: path.parse(originalname).name + "-" + Date.now(),
       },
       (error, result) => {
@@ -68,3 +69,4 @@ router.post("/cloudinary", upload.single("file"), async (req, res) => {
 });
 
 module.exports = router;
+module.exports.uploadToCloudinary = uploadToCloudinary;
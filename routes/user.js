@@ -5,7 +5,9 @@ const bcrypt = require("bcrypt");
 const jwt = require("jsonwebtoken");
 const redis = require("redis");
 const User = require("../models/User");
+const Notification = require("../models/Notification");
 const verifyUser = require("../middlewares/verifyUser");
+const { applyPreferencesUpdate } = require("../utils/notificationPreferences");
 
 const redisClient = redis.createClient({ url: process.env.REDIS_URL });
 redisClient.connect().catch(console.error);
@@ -141,11 +143,11 @@ router.put("/update", verifyUser, async (req, res) => {
     gender,
     dob,
     pushToken,
-    isSuspended,
     isDeleted,
     deleteReason,
     avatar,
     receiveNotifications,
+    notificationPreferences,
     twoFA,
   } = req.body;
   const user = await User.findById(req.user.id);
@@ -154,6 +156,11 @@ router.put("/update", verifyUser, async (req, res) => {
     return res
       .status(404)
       .json({ success: false, message: "User not found", data: null });
+  // Suspension is lifted by admins only
+  if (user.isSuspended)
+    return res
+      .status(403)
+      .json({ success: false, message: "Account is suspended", data: null });
   if (isDeleted && !deleteReason)
     return res
       .status(400)
@@ -165,7 +172,6 @@ router.put("/update", verifyUser, async (req, res) => {
   user.gender = gender || user.gender;
   user.dob = dob || user.dob;
   user.pushToken = pushToken || user.pushToken;
-  user.isSuspended = isSuspended !== undefined ? isSuspended : user.isSuspended;
   user.isDeleted = isDeleted !== undefined ? isDeleted : user.isDeleted;
   user.deleteReason = isDeleted ? deleteReason : user.deleteReason;
   user.avatar = avatar || user.avatar;
@@ -174,6 +180,13 @@ router.put("/update", verifyUser, async (req, res) => {
       ? receiveNotifications
       : user.receiveNotifications;
   user.twoFA = twoFA !== undefined ? twoFA : user.twoFA;
+  if (notificationPreferences !== undefined) {
+    const error = applyPreferencesUpdate(user, notificationPreferences);
+    if (error)
+      return res
+        .status(400)
+        .json({ success: false, message: error, data: null });
+  }
 
   await user.save();
   res.json({
@@ -283,4 +296,36 @@ router.get("/check-user", verifyUser, async (req, res) => {
   });
 });
 
+// Notification History (newest first, optional ?type=, paginated)
+router.get("/notifications", verifyUser, async (req, res) => {
+  const page = Math.max(1, parseInt(req.query.page) || 1);
+  const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+
+  try {
+    const query = { recipientId: req.user.id };
+    if (req.query.type) query.type = req.query.type;
+
+    const [notifications, total] = await Promise.all([
+      Notification.find(query)
+        .select("-pushToken -ticketId -attempts -nextAttemptAt")
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Notification.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      message: "Notification history retrieved successfully",
+      data: { notifications, total, page, limit },
+    });
+  } catch (error) {
+    console.error("Error retrieving notification history:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Internal server error", data: null });
+  }
+});
+
 module.exports = router;
@@ -7,6 +7,9 @@ const redis = require("redis");
 const nodemailer = require("nodemailer");
 const Vendor = require("../models/Vendor");
 const verifyUser = require("../middlewares/verifyUser");
+const { DEFAULT_SMS_TEMPLATES } = require("../utils/smsNotifications");
+const { applyPreferencesUpdate } = require("../utils/notificationPreferences");
+const { isCalendarDate } = require("../utils/workingHours");
 const { body, validationResult } = require("express-validator");
 
 // Redis client
@@ -444,8 +447,80 @@ router.post("/logout-all-devices", verifyUser, async (req, res) => {
   }
 });
 
-// Update Vendor
-router.put("/update", verifyUser, async (req, res) => {
+// Shapes of the policy and settings objects the update accepts
+const settingsValidators = [
+  body("checkInPolicy")
+    .optional()
+    .isObject()
+    .withMessage("Check-in policy must be an object"),
+  body("checkInPolicy.enabled")
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage("Check-in policy enabled must be a boolean"),
+  body("checkInPolicy.action")
+    .optional()
+    .isIn(["hold", "skip"])
+    .withMessage("Check-in action must be hold or skip"),
+  body("noShowPolicy")
+    .optional()
+    .isObject()
+    .withMessage("No-show policy must be an object"),
+  body("noShowPolicy.enabled")
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage("No-show policy enabled must be a boolean"),
+  body("noShowPolicy.graceMinutes")
+    .optional()
+    .isInt({ min: 0, max: 240 })
+    .withMessage("Grace minutes must be between 0 and 240"),
+  body("noShowPolicy.maxSkips")
+    .optional()
+    .isInt({ min: 0, max: 10 })
+    .withMessage("Max skips must be between 0 and 10"),
+  body("smsNotifications")
+    .optional()
+    .isObject()
+    .withMessage("SMS notifications must be an object"),
+  body("smsNotifications.enabled")
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage("SMS notifications enabled must be a boolean"),
+  body("smsNotifications.templates")
+    .optional()
+    .isObject()
+    .custom((templates) =>
+      Object.entries(templates).every(
+        ([event, text]) =>
+          Object.hasOwn(DEFAULT_SMS_TEMPLATES, event) &&
+          typeof text === "string" &&
+          text.length <= 320
+      )
+    )
+    .withMessage("SMS templates must be texts for known queue events"),
+  body("billing")
+    .optional()
+    .isObject()
+    .withMessage("Billing settings must be an object"),
+  body("billing.taxPercent")
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage("Tax must be between 0 and 100 percent"),
+  body("billing.invoicePrefix")
+    .optional()
+    .matches(/^[A-Za-z0-9-]{1,10}$/)
+    .withMessage("Invoice prefix must be up to 10 letters, digits or dashes"),
+];
+
+// Update Vendor. Helper connections change through /api/helper-connection,
+// where the plan's helper limit applies.
+router.put("/update", verifyUser, settingsValidators, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res
+      .status(400)
+      .json({ success: false, message: errors.array()[0].msg, data: null });
+  }
+
   const {
     avatar,
     fullName,
@@ -455,15 +530,18 @@ router.put("/update", verifyUser, async (req, res) => {
     businessAddress,
     noOfSeats,
     isDeleted,
-    isSuspended,
     receiveNotification,
+    notificationPreferences,
     workingHours,
+    useLearnedDurations,
+    checkInPolicy,
+    noShowPolicy,
+    smsNotifications,
+    billing,
     twoFA,
     privacyMode,
     inactivityReminder,
     active,
-    helperJointBusiness,
-    connectedHelpers,
     pushToken,
     location,
   } = req.body;
@@ -475,6 +553,11 @@ router.put("/update", verifyUser, async (req, res) => {
       message: "Vendor not found or inactive",
       data: null,
     });
+  // Suspension is lifted by admins only
+  if (vendor.isSuspended)
+    return res
+      .status(403)
+      .json({ success: false, message: "Account is suspended", data: null });
 
   // Update only the provided fields, preserving unique/critical fields
   vendor.avatar = avatar || vendor.avatar;
@@ -485,23 +568,33 @@ router.put("/update", verifyUser, async (req, res) => {
   vendor.businessAddress = businessAddress || vendor.businessAddress;
   vendor.noOfSeats = noOfSeats !== undefined ? noOfSeats : vendor.noOfSeats;
   vendor.isDeleted = isDeleted !== undefined ? isDeleted : vendor.isDeleted;
-  vendor.isSuspended =
-    isSuspended !== undefined ? isSuspended : vendor.isSuspended;
   vendor.receiveNotification =
     receiveNotification !== undefined
       ? receiveNotification
       : vendor.receiveNotification;
   vendor.workingHours = workingHours || vendor.workingHours;
+  vendor.useLearnedDurations =
+    useLearnedDurations !== undefined
+      ? useLearnedDurations
+      : vendor.useLearnedDurations;
+  vendor.checkInPolicy = checkInPolicy || vendor.checkInPolicy;
+  vendor.noShowPolicy = noShowPolicy || vendor.noShowPolicy;
+  vendor.smsNotifications = smsNotifications || vendor.smsNotifications;
+  vendor.billing = billing || vendor.billing;
   vendor.twoFA = twoFA !== undefined ? twoFA : vendor.twoFA;
   vendor.privacyMode =
     privacyMode !== undefined ? privacyMode : vendor.privacyMode;
   vendor.inactivityReminder = inactivityReminder || vendor.inactivityReminder;
   vendor.active = active !== undefined ? active : vendor.active;
-  vendor.helperJointBusiness =
-    helperJointBusiness || vendor.helperJointBusiness;
-  vendor.connectedHelpers = connectedHelpers || vendor.connectedHelpers;
   vendor.pushToken = pushToken || vendor.pushToken;
   vendor.location = location || vendor.location;
+  if (notificationPreferences !== undefined) {
+    const error = applyPreferencesUpdate(vendor, notificationPreferences);
+    if (error)
+      return res
+        .status(400)
+        .json({ success: false, message: error, data: null });
+  }
   await vendor.save();
   res.json({
     success: true,
@@ -510,6 +603,31 @@ router.put("/update", verifyUser, async (req, res) => {
   });
 });
 
+// SMS texts for manual customers: defaults merged with the vendor's overrides
+router.get("/sms-templates", verifyUser, async (req, res) => {
+  const vendor = await Vendor.findById(req.user.id).select(
+    "accountType smsNotifications"
+  );
+  if (!vendor || vendor.accountType !== "owner") {
+    return res
+      .status(404)
+      .json({ success: false, message: "Owner not found", data: null });
+  }
+
+  const overrides = Object.fromEntries(
+    vendor.smsNotifications?.templates || []
+  );
+  res.json({
+    success: true,
+    message: "SMS templates retrieved successfully",
+    data: {
+      enabled: !!vendor.smsNotifications?.enabled,
+      defaults: DEFAULT_SMS_TEMPLATES,
+      templates: { ...DEFAULT_SMS_TEMPLATES, ...overrides },
+    },
+  });
+});
+
 // Get account details even if deleted or suspended
 router.get("/check-admin", verifyUser, async (req, res) => {
   const vendor = await Vendor.findById(req.user.id).select("-password");
@@ -527,4 +645,272 @@ router.get("/check-admin", verifyUser, async (req, res) => {
   });
 });
 
+// ------------------------------------------------------------------------------
+// Holiday / Special Hours Calendar (Owner only)
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_REGEX = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const hoursExceptionValidators = (isUpdate) => [
+  (isUpdate ? body("startDate").optional() : body("startDate"))
+    .matches(DATE_REGEX)
+    .withMessage("Start date must be in YYYY-MM-DD format")
+    .bail()
+    .custom(isCalendarDate)
+    .withMessage("Start date is not a valid date"),
+  body("endDate")
+    .optional()
+    .matches(DATE_REGEX)
+    .withMessage("End date must be in YYYY-MM-DD format")
+    .bail()
+    .custom(isCalendarDate)
+    .withMessage("End date is not a valid date"),
+  (isUpdate ? body("type").optional() : body("type"))
+    .isIn(["closed", "special_hours"])
+    .withMessage("Type must be closed or special_hours"),
+  body("openTime")
+    .optional()
+    .matches(TIME_REGEX)
+    .withMessage("Open time must be in HH:mm format"),
+  body("closeTime")
+    .optional()
+    .matches(TIME_REGEX)
+    .withMessage("Close time must be in HH:mm format"),
+  body("reason").optional().isString().withMessage("Reason must be a string"),
+];
+
+// Checks shared by create and update once fields are merged
+const validateHoursException = (exception) => {
+  if (exception.endDate < exception.startDate) {
+    return "End date must not be before start date";
+  }
+  if (
+    exception.type === "special_hours" &&
+    (!exception.openTime || !exception.closeTime)
+  ) {
+    return "Open and close time are required for special hours";
+  }
+  return null;
+};
+
+const findActiveOwner = (vendorId) =>
+  Vendor.findOne({
+    _id: vendorId,
+    accountType: "owner",
+    isDeleted: false,
+    isSuspended: false,
+  });
+
+// List Hours Exceptions
+router.get("/hours-exceptions", verifyUser, async (req, res) => {
+  try {
+    const vendor = await findActiveOwner(req.user.id);
+    if (!vendor)
+      return res.status(403).json({
+        success: false,
+        message: "Only active owners can manage working hours",
+        data: null,
+      });
+
+    const exceptions = [...vendor.hoursExceptions].sort((a, b) =>
+      a.startDate.localeCompare(b.startDate)
+    );
+    res.json({
+      success: true,
+      message: "Hours exceptions retrieved successfully",
+      data: exceptions,
+    });
+  } catch (error) {
+    console.error("Error retrieving hours exceptions:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve hours exceptions",
+      data: null,
+    });
+  }
+});
+
+// Add Hours Exception
+router.post(
+  "/hours-exceptions",
+  verifyUser,
+  hoursExceptionValidators(false),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      return res
+        .status(400)
+        .json({ success: false, message: errors.array()[0].msg, data: null });
+
+    const { startDate, endDate, type, openTime, closeTime, reason } = req.body;
+    const exception = {
+      startDate,
+      endDate: endDate || startDate,
+      type,
+      openTime: type === "special_hours" ? openTime : undefined,
+      closeTime: type === "special_hours" ? closeTime : undefined,
+      reason,
+    };
+
+    const validationError = validateHoursException(exception);
+    if (validationError)
+      return res
+        .status(400)
+        .json({ success: false, message: validationError, data: null });
+
+    try {
+      const vendor = await findActiveOwner(req.user.id);
+      if (!vendor)
+        return res.status(403).json({
+          success: false,
+          message: "Only active owners can manage working hours",
+          data: null,
+        });
+
+      const overlapping = vendor.hoursExceptions.some(
+        (ex) =>
+          ex.startDate <= exception.endDate && ex.endDate >= exception.startDate
+      );
+      if (overlapping)
+        return res.status(400).json({
+          success: false,
+          message: "An exception already exists for these dates",
+          data: null,
+        });
+
+      vendor.hoursExceptions.push(exception);
+      await vendor.save();
+
+      res.status(201).json({
+        success: true,
+        message: "Hours exception added successfully",
+        data: vendor.hoursExceptions[vendor.hoursExceptions.length - 1],
+      });
+    } catch (error) {
+      console.error("Error adding hours exception:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to add hours exception",
+        data: null,
+      });
+    }
+  }
+);
+
+// Update Hours Exception
+router.put(
+  "/hours-exceptions/:id",
+  verifyUser,
+  hoursExceptionValidators(true),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      return res
+        .status(400)
+        .json({ success: false, message: errors.array()[0].msg, data: null });
+
+    const { id } = req.params;
+    const { startDate, endDate, type, openTime, closeTime, reason } = req.body;
+
+    try {
+      const vendor = await findActiveOwner(req.user.id);
+      if (!vendor)
+        return res.status(403).json({
+          success: false,
+          message: "Only active owners can manage working hours",
+          data: null,
+        });
+
+      const exception = vendor.hoursExceptions.id(id);
+      if (!exception)
+        return res.status(404).json({
+          success: false,
+          message: "Hours exception not found",
+          data: null,
+        });
+
+      exception.startDate = startDate || exception.startDate;
+      exception.endDate = endDate || exception.endDate;
+      exception.type = type || exception.type;
+      exception.openTime = openTime || exception.openTime;
+      exception.closeTime = closeTime || exception.closeTime;
+      exception.reason = reason !== undefined ? reason : exception.reason;
+      if (exception.type === "closed") {
+        exception.openTime = undefined;
+        exception.closeTime = undefined;
+      }
+
+      const validationError = validateHoursException(exception);
+      if (validationError)
+        return res
+          .status(400)
+          .json({ success: false, message: validationError, data: null });
+
+      const overlapping = vendor.hoursExceptions.some(
+        (ex) =>
+          ex._id !== id &&
+          ex.startDate <= exception.endDate &&
+          ex.endDate >= exception.startDate
+      );
+      if (overlapping)
+        return res.status(400).json({
+          success: false,
+          message: "An exception already exists for these dates",
+          data: null,
+        });
+
+      await vendor.save();
+      res.json({
+        success: true,
+        message: "Hours exception updated successfully",
+        data: exception,
+      });
+    } catch (error) {
+      console.error("Error updating hours exception:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to update hours exception",
+        data: null,
+      });
+    }
+  }
+);
+
+// Delete Hours Exception
+router.delete("/hours-exceptions/:id", verifyUser, async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const vendor = await findActiveOwner(req.user.id);
+    if (!vendor)
+      return res.status(403).json({
+        success: false,
+        message: "Only active owners can manage working hours",
+        data: null,
+      });
+
+    const exception = vendor.hoursExceptions.id(id);
+    if (!exception)
+      return res.status(404).json({
+        success: false,
+        message: "Hours exception not found",
+        data: null,
+      });
+
+    exception.deleteOne();
+    await vendor.save();
+    res.json({
+      success: true,
+      message: "Hours exception deleted successfully",
+      data: null,
+    });
+  } catch (error) {
+    console.error("Error deleting hours exception:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to delete hours exception",
+      data: null,
+    });
+  }
+});
+
 module.exports = router;
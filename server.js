@@ -1,4 +1,5 @@
 const express = require("express");
+const http = require("http");
 const cors = require("cors");
 const mongoose = require("mongoose");
 const dotenv = require("dotenv");
@@ -7,10 +8,18 @@ const session = require("express-session");
 dotenv.config();
 
 const app = express();
+const server = http.createServer(app);
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+app.use(
+  express.json({
+    // Raw body kept for Razorpay webhook signature checks
+    verify: (req, res, buf) => {
+      if (req.originalUrl.startsWith("/api/payment/webhook")) req.rawBody = buf;
+    },
+  })
+);
 
 // MongoDB connection
 mongoose
@@ -34,7 +43,22 @@ app.use("/api/upload", require("./routes/upload"));
 app.use("/api/device-login", require("./routes/deviceLogin"));
 //pending
 app.use("/api/queue", require("./routes/queue"));
+app.use("/api/appointments", require("./routes/appointments"));
+app.use("/api/analytics", require("./routes/analytics"));
+app.use("/api/billing", require("./routes/billing"));
+app.use("/api/admin", require("./routes/admin"));
+
+// Real-time queue updates
+require("./utils/socket").initSocket(server);
+
+// Background jobs
+require("./jobs/appointmentMerger").startAppointmentMerger();
+require("./jobs/serviceDurationStats").startServiceDurationStats();
+require("./jobs/checkInEnforcer").startCheckInEnforcer();
+require("./jobs/noShowHandler").startNoShowHandler();
+require("./jobs/notificationWorker").startNotificationWorker();
+require("./jobs/planExpiry").startPlanExpiry();
 
 // Start server
 const PORT = process.env.PORT || 5000;
-app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
+server.listen(PORT, () => console.log(`Server running on port ${PORT}`));
@@ -0,0 +1,71 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { calculateBill } = require("../utils/billing");
+
+const queue = { serviceId: { _id: "service-1", name: "Haircut" }, total: 300 };
+const vendor = { billing: { taxPercent: 18 } };
+
+test("bills the queued service at the vendor's tax rate", () => {
+  const bill = calculateBill(queue, {}, vendor);
+  assert.deepEqual(bill.lineItems, [
+    {
+      serviceId: "service-1",
+      description: "Haircut",
+      quantity: 1,
+      unitPrice: 300,
+      amount: 300,
+    },
+  ]);
+  assert.equal(bill.subtotal, 300);
+  assert.equal(bill.taxAmount, 54);
+  assert.equal(bill.total, 354);
+});
+
+test("taxes line items after a percentage discount and adds the tip", () => {
+  const bill = calculateBill(
+    queue,
+    {
+      lineItems: [
+        { description: "Haircut", unitPrice: 250 },
+        { description: "Wash", quantity: 2, unitPrice: 99.99 },
+      ],
+      discount: { type: "percentage", value: 10 },
+      taxPercent: 5,
+      tip: 20,
+    },
+    vendor
+  );
+  assert.equal(bill.subtotal, 449.98);
+  assert.deepEqual(bill.discount, {
+    type: "percentage",
+    value: 10,
+    amount: 45,
+  });
+  assert.equal(bill.taxPercent, 5);
+  assert.equal(bill.taxAmount, 20.25);
+  assert.equal(bill.total, 445.23);
+});
+
+test("caps a flat discount at the subtotal", () => {
+  const bill = calculateBill(
+    queue,
+    { discount: { value: 500 }, taxPercent: 0 },
+    vendor
+  );
+  assert.equal(bill.discount.type, "flat");
+  assert.equal(bill.discount.amount, 300);
+  assert.equal(bill.total, 0);
+});
+
+test("rejects a percentage discount over 100", () => {
+  assert.throws(
+    () =>
+      calculateBill(
+        queue,
+        { discount: { type: "percentage", value: 120 } },
+        vendor
+      ),
+    /can't be more than 100/
+  );
+});
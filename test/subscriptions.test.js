@@ -0,0 +1,77 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  getUpgradeCredit,
+  getPaidEndDate,
+  quotePeriod,
+} = require("../utils/subscriptions");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = new Date("2026-10-16T00:00:00Z");
+
+// A monthly plan half used, and a renewal stacked after it
+const current = {
+  _id: "plan-1",
+  planType: "monthly",
+  amount: 900,
+  startDate: new Date("2026-10-01T00:00:00Z"),
+  endDate: new Date("2026-10-31T00:00:00Z"),
+};
+const renewal = {
+  _id: "plan-2",
+  planType: "monthly",
+  amount: 900,
+  startDate: new Date("2026-10-31T00:00:00Z"),
+  endDate: new Date("2026-11-30T00:00:00Z"),
+};
+
+test("credits the unused part of the current plan and all of later ones", () => {
+  assert.equal(getUpgradeCredit([current, renewal], now), 1350);
+  assert.equal(getUpgradeCredit([], now), 0);
+});
+
+test("quotes monthly to yearly as an upgrade starting now", () => {
+  const quote = quotePeriod([current, renewal], "yearly", 7550, now);
+  assert.equal(quote.kind, "upgrade");
+  assert.equal(quote.proratedCredit, 1350);
+  assert.deepEqual(quote.startDate, now);
+  assert.deepEqual(quote.supersedesPlanIds, ["plan-1", "plan-2"]);
+});
+
+test("refuses an upgrade the paid months already cover", () => {
+  const quote = quotePeriod([current, renewal], "yearly", 1000, now);
+  assert.match(quote.error, /already cover a year/);
+});
+
+test("stacks renewals after the last paid plan", () => {
+  const quote = quotePeriod([current, renewal], "monthly", 840, now);
+  assert.equal(quote.kind, "renewal");
+  assert.equal(quote.proratedCredit, 0);
+  assert.deepEqual(quote.startDate, renewal.endDate);
+  assert.deepEqual(quote.supersedesPlanIds, []);
+});
+
+test("stacks a monthly plan after a yearly one", () => {
+  const yearly = { ...current, planType: "yearly" };
+  const quote = quotePeriod([yearly], "monthly", 840, now);
+  assert.equal(quote.kind, "renewal");
+  assert.deepEqual(quote.startDate, yearly.endDate);
+});
+
+test("starts a first plan now", () => {
+  const quote = quotePeriod([], "monthly", 840, now);
+  assert.equal(quote.kind, "new");
+  assert.deepEqual(quote.startDate, now);
+});
+
+test("runs a fully paid plan for its whole period", () => {
+  const start = new Date("2026-06-15T12:00:00Z");
+  assert.equal(getPaidEndDate(start, "monthly", 900) - start, 30 * DAY_MS);
+});
+
+test("shortens a plan by the shortfall and lengthens it by extra credit", () => {
+  const start = new Date("2026-06-15T12:00:00Z");
+  assert.equal(getPaidEndDate(start, "monthly", 900, 450) - start, 15 * DAY_MS);
+  assert.equal(getPaidEndDate(start, "monthly", 900, -90) - start, 33 * DAY_MS);
+});
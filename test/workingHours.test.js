@@ -0,0 +1,82 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+process.env.BUSINESS_TIMEZONE = "Asia/Kolkata";
+const { getOpenWindow, getNextOpenAt } = require("../utils/workingHours");
+
+const day = { openTime: "09:00", closeTime: "17:00", isClosed: false };
+const vendorWith = (hoursExceptions) => ({
+  workingHours: {
+    sun: { ...day, isClosed: true },
+    mon: day,
+    tue: day,
+    wed: day,
+    thu: day,
+    fri: day,
+    sat: day,
+  },
+  hoursExceptions,
+});
+
+// Monday 19 Oct 2026, 10:00 in the business's timezone
+const monday = new Date("2026-10-19T10:00:00+05:30");
+
+test("opens on the regular schedule without exceptions", () => {
+  assert.deepEqual(getOpenWindow(vendorWith([]), monday), {
+    openAt: new Date("2026-10-19T09:00:00+05:30"),
+    closeAt: new Date("2026-10-19T17:00:00+05:30"),
+  });
+});
+
+test("skips a closure to the day after it ends", () => {
+  const vendor = vendorWith([
+    { startDate: "2026-10-19", endDate: "2026-10-21", type: "closed" },
+  ]);
+  assert.deepEqual(
+    getNextOpenAt(vendor, monday),
+    new Date("2026-10-22T09:00:00+05:30")
+  );
+});
+
+test("skips closures longer than a week", () => {
+  const vendor = vendorWith([
+    { startDate: "2026-10-19", endDate: "2026-11-10", type: "closed" },
+  ]);
+  assert.deepEqual(
+    getNextOpenAt(vendor, monday),
+    new Date("2026-11-11T09:00:00+05:30")
+  );
+});
+
+test("uses special hours on the exception's days", () => {
+  const vendor = vendorWith([
+    {
+      startDate: "2026-10-19",
+      endDate: "2026-10-19",
+      type: "special_hours",
+      openTime: "12:00",
+      closeTime: "14:00",
+    },
+  ]);
+  assert.deepEqual(getOpenWindow(vendor, monday), {
+    openAt: new Date("2026-10-19T12:00:00+05:30"),
+    closeAt: new Date("2026-10-19T14:00:00+05:30"),
+  });
+});
+
+test("ignores exceptions whose dates can't be read", () => {
+  for (const endDate of ["2026-02-30", "2026-10-32", "soon"]) {
+    const vendor = vendorWith([
+      { startDate: "2026-10-19", endDate, type: "closed" },
+    ]);
+    assert.deepEqual(getNextOpenAt(vendor, monday), monday, endDate);
+  }
+});
+
+test("returns null when the business never opens", () => {
+  const vendor = vendorWith([]);
+  for (const key of Object.keys(vendor.workingHours)) {
+    vendor.workingHours[key] = { ...day, isClosed: true };
+  }
+  assert.equal(getOpenWindow(vendor, monday), null);
+});
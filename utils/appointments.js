@@ -0,0 +1,57 @@
+const Appointment = require("../models/Appointment");
+
+// Statuses that hold a helper's slot
+const RESERVED_STATUSES = ["booked", "merged"];
+
+// Whether a helper already has a booking overlapping [start, end)
+const hasAppointmentConflict = async (
+  helperId,
+  start,
+  end,
+  { excludeId, session = null } = {}
+) => {
+  const query = {
+    helperId,
+    status: { $in: RESERVED_STATUSES },
+    scheduledStart: { $lt: end },
+    scheduledEnd: { $gt: start },
+  };
+  if (excludeId) query._id = { $ne: excludeId };
+
+  const conflict = await Appointment.findOne(query).session(session).lean();
+  return !!conflict;
+};
+
+// Push a walk-in's start past any booked (not yet merged) appointment it would overlap
+const shiftPastAppointments = async (
+  helperId,
+  start,
+  duration,
+  session = null
+) => {
+  const appointments = await Appointment.find({
+    helperId,
+    status: "booked",
+    scheduledEnd: { $gt: start },
+  })
+    .sort({ scheduledStart: 1 })
+    .session(session)
+    .lean();
+
+  let startTime = new Date(start);
+  for (const appointment of appointments) {
+    const endTime = new Date(startTime.getTime() + duration * 60 * 1000);
+    if (appointment.scheduledStart >= endTime) break;
+    if (appointment.scheduledEnd > startTime) {
+      startTime = new Date(appointment.scheduledEnd);
+    }
+  }
+
+  return startTime;
+};
+
+module.exports = {
+  RESERVED_STATUSES,
+  hasAppointmentConflict,
+  shiftPastAppointments,
+};
@@ -0,0 +1,310 @@
+const jwt = require("jsonwebtoken");
+const PDFDocument = require("pdfkit");
+const { body } = require("express-validator");
+const Invoice = require("../models/Invoice");
+const Vendor = require("../models/Vendor");
+const User = require("../models/User");
+const ManualAddUsers = require("../models/ManualAddUsers");
+const {
+  TIMEZONE,
+  getLocalParts,
+  toLocalDateString,
+} = require("./workingHours");
+
+const PAYMENT_METHODS = ["cash", "upi", "card", "online", "pending"];
+const RECEIPT_TOKEN_TTL = "90d";
+
+// ID of a possibly populated reference
+const idOf = (ref) => ref?._id || ref;
+
+// Money is kept in rupees, rounded to the paisa
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const formatMoney = (value) => `Rs. ${Number(value || 0).toFixed(2)}`;
+
+// Validators for a billing payload. Under a `prefix` (e.g. "billing.") the
+// payload is optional as a whole.
+const billingValidators = (prefix = "") => [
+  (prefix
+    ? body(`${prefix}paymentMethod`).if(body(prefix.slice(0, -1)).exists())
+    : body("paymentMethod")
+  )
+    .isIn(PAYMENT_METHODS)
+    .withMessage("Payment method must be cash, upi, card, online or pending"),
+  body(`${prefix}paymentReference`)
+    .optional()
+    .isString()
+    .withMessage("Payment reference must be a string"),
+  body(`${prefix}lineItems`)
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage("Line items must be a non-empty array"),
+  body(`${prefix}lineItems.*.description`)
+    .optional()
+    .isString()
+    .notEmpty()
+    .withMessage("Each line item needs a description"),
+  body(`${prefix}lineItems.*.serviceId`)
+    .optional()
+    .isString()
+    .withMessage("Invalid line item service ID"),
+  body(`${prefix}lineItems.*.quantity`)
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Line item quantity must be a positive integer"),
+  body(`${prefix}lineItems.*.unitPrice`)
+    .isFloat({ min: 0 })
+    .withMessage("Line item price must be zero or more"),
+  body(`${prefix}discount.type`)
+    .optional()
+    .isIn(["percentage", "flat"])
+    .withMessage("Discount type must be percentage or flat"),
+  body(`${prefix}discount.value`)
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Discount must be zero or more"),
+  body(`${prefix}taxPercent`)
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage("Tax must be between 0 and 100 percent"),
+  body(`${prefix}tip`)
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Tip must be zero or more"),
+];
+
+// Work out an invoice's amounts. Without line items the queue entry's
+// service is billed at its joining price.
+const calculateBill = (queue, billing, vendor) => {
+  const lineItems = (
+    billing.lineItems || [
+      {
+        serviceId: idOf(queue.serviceId),
+        description: queue.serviceId?.name || "Service",
+        unitPrice: queue.total,
+      },
+    ]
+  ).map((item) => {
+    const quantity = Number(item.quantity) || 1;
+    const unitPrice = roundMoney(Number(item.unitPrice));
+    return {
+      serviceId: item.serviceId,
+      description: item.description || queue.serviceId?.name || "Service",
+      quantity,
+      unitPrice,
+      amount: roundMoney(quantity * unitPrice),
+    };
+  });
+
+  const subtotal = roundMoney(
+    lineItems.reduce((sum, item) => sum + item.amount, 0)
+  );
+
+  const discountValue = Number(billing.discount?.value) || 0;
+  const discountType =
+    discountValue > 0 ? billing.discount?.type || "flat" : undefined;
+  if (discountType === "percentage" && discountValue > 100) {
+    throw new Error("Percentage discount can't be more than 100");
+  }
+  const discountAmount = roundMoney(
+    discountType === "percentage"
+      ? (subtotal * discountValue) / 100
+      : Math.min(discountValue, subtotal)
+  );
+
+  const taxPercent =
+    billing.taxPercent !== undefined
+      ? Number(billing.taxPercent)
+      : vendor.billing?.taxPercent || 0;
+  const taxAmount = roundMoney(
+    ((subtotal - discountAmount) * taxPercent) / 100
+  );
+  const tip = roundMoney(Number(billing.tip) || 0);
+
+  return {
+    lineItems,
+    subtotal,
+    discount: {
+      type: discountType,
+      value: discountValue,
+      amount: discountAmount,
+    },
+    taxPercent,
+    taxAmount,
+    tip,
+    total: roundMoney(subtotal - discountAmount + taxAmount + tip),
+  };
+};
+
+// Bill a completed queue entry. The vendor's counter is bumped inside the
+// transaction, so an aborted bill doesn't leave a gap in the numbering.
+const createInvoice = async (vendor, queue, billing, issuedBy, session) => {
+  if (queue.status !== "completed") {
+    throw new Error("Only a completed queue entry can be billed");
+  }
+  if (queue.invoiceId) {
+    throw new Error("Queue entry has already been billed");
+  }
+
+  const amounts = calculateBill(queue, billing, vendor);
+
+  // An entry prepaid through the app is settled by that payment
+  const paidOnline = queue.payment?.status === "paid";
+  if (billing.paymentMethod === "online" && !paidOnline) {
+    throw new Error("Queue entry hasn't been paid online");
+  }
+  if (paidOnline && amounts.total !== queue.payment.amount) {
+    throw new Error(
+      `Bill total must match the ${formatMoney(
+        queue.payment.amount
+      )} paid online`
+    );
+  }
+  const { invoiceSequence } = await Vendor.findByIdAndUpdate(
+    vendor._id,
+    { $inc: { invoiceSequence: 1 } },
+    { new: true, session }
+  ).select("invoiceSequence");
+  const prefix = vendor.billing?.invoicePrefix || "INV";
+
+  const customer =
+    queue.userType === "manual"
+      ? await ManualAddUsers.findById(idOf(queue.manualUserId))
+          .select("name")
+          .session(session)
+          .lean()
+      : await User.findById(idOf(queue.userId))
+          .select("firstName lastName")
+          .session(session)
+          .lean();
+  const customerName =
+    customer?.name ||
+    [customer?.firstName, customer?.lastName].filter(Boolean).join(" ");
+
+  const [invoice] = await Invoice.create(
+    [
+      {
+        invoiceNumber: `${prefix}-${String(invoiceSequence).padStart(6, "0")}`,
+        sequence: invoiceSequence,
+        vendorId: vendor._id,
+        queueId: queue._id,
+        helperId: idOf(queue.helperId),
+        userId: idOf(queue.userId),
+        manualUserId: idOf(queue.manualUserId),
+        customerName: customerName || undefined,
+        ...amounts,
+        paymentMethod: paidOnline ? "online" : billing.paymentMethod,
+        paymentReference: paidOnline
+          ? queue.payment.paymentId
+          : billing.paymentReference,
+        issuedBy,
+      },
+    ],
+    { session }
+  );
+
+  queue.invoiceId = invoice._id;
+  return invoice;
+};
+
+// Signed link a customer can open without logging in
+const createReceiptToken = (invoice) =>
+  jwt.sign(
+    { type: "receipt", invoiceId: invoice._id },
+    process.env.JWT_SECRET,
+    { expiresIn: RECEIPT_TOKEN_TTL }
+  );
+
+// Decoded payload, or null for forged, expired or non-receipt tokens
+const verifyReceiptToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.type === "receipt" ? decoded : null;
+  } catch {
+    return null;
+  }
+};
+
+const getReceiptUrl = (req, invoice) =>
+  `${req.protocol}://${req.get(
+    "host"
+  )}/api/billing/receipt/${createReceiptToken(invoice)}`;
+
+// Stream an invoice as a one-page PDF receipt
+const streamReceipt = (res, invoice, vendor) => {
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader(
+    "Content-Disposition",
+    `inline; filename="receipt-${invoice.invoiceNumber}.pdf"`
+  );
+
+  const doc = new PDFDocument({ size: "A5", margin: 36 });
+  doc.pipe(res);
+
+  const issuedAt = new Date(invoice.issuedAt);
+  const { hour, minute } = getLocalParts(issuedAt);
+  const right = { align: "right" };
+
+  doc
+    .fontSize(16)
+    .font("Helvetica-Bold")
+    .text(vendor?.businessName || "");
+  doc.fontSize(9).font("Helvetica");
+  if (vendor?.businessAddress) doc.text(vendor.businessAddress);
+  doc.moveDown();
+  doc.text(`Receipt ${invoice.invoiceNumber}`);
+  doc.text(
+    `${toLocalDateString(issuedAt)} ${String(hour).padStart(2, "0")}:${String(
+      minute
+    ).padStart(2, "0")} (${TIMEZONE})`
+  );
+  if (invoice.customerName) doc.text(`Customer: ${invoice.customerName}`);
+  doc.moveDown();
+
+  invoice.lineItems.forEach((item) => {
+    const y = doc.y;
+    doc.text(`${item.description} x ${item.quantity}`, { width: 250 });
+    doc.text(formatMoney(item.amount), doc.page.margins.left, y, right);
+  });
+  doc.moveDown();
+
+  const line = (label, value) => {
+    const y = doc.y;
+    doc.text(label);
+    doc.text(value, doc.page.margins.left, y, right);
+  };
+  line("Subtotal", formatMoney(invoice.subtotal));
+  if (invoice.discount?.amount > 0) {
+    line(
+      invoice.discount.type === "percentage"
+        ? `Discount (${invoice.discount.value}%)`
+        : "Discount",
+      `- ${formatMoney(invoice.discount.amount)}`
+    );
+  }
+  if (invoice.taxAmount > 0) {
+    line(`Tax (${invoice.taxPercent}%)`, formatMoney(invoice.taxAmount));
+  }
+  if (invoice.tip > 0) line("Tip", formatMoney(invoice.tip));
+  doc.font("Helvetica-Bold");
+  line("Total", formatMoney(invoice.total));
+  doc.font("Helvetica");
+  if (invoice.paymentMethod === "pending") {
+    line("Payment", "DUE");
+  } else {
+    line("Paid by", invoice.paymentMethod.toUpperCase());
+  }
+
+  doc.moveDown(2).text("Thank you for your visit!", { align: "center" });
+  doc.end();
+};
+
+module.exports = {
+  PAYMENT_METHODS,
+  billingValidators,
+  calculateBill,
+  createInvoice,
+  verifyReceiptToken,
+  getReceiptUrl,
+  streamReceipt,
+};
@@ -0,0 +1,24 @@
+const jwt = require("jsonwebtoken");
+
+const CHECK_IN_TOKEN_TTL = "3d";
+
+// Signed payload for a queue entry's check-in QR code. It carries no
+// session, so verifyUser never accepts it as a login token.
+const createCheckInToken = (queue) =>
+  jwt.sign(
+    { type: "check_in", queueId: queue._id, vendorId: queue.vendorId },
+    process.env.JWT_SECRET,
+    { expiresIn: CHECK_IN_TOKEN_TTL }
+  );
+
+// Decoded payload, or null for forged, expired or non check-in tokens
+const verifyCheckInToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.type === "check_in" ? decoded : null;
+  } catch {
+    return null;
+  }
+};
+
+module.exports = { createCheckInToken, verifyCheckInToken };
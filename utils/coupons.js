@@ -0,0 +1,109 @@
+const Coupon = require("../models/Coupon");
+const PaymentPlan = require("../models/paymentModel");
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const normalizeCode = (code) => String(code).trim().toUpperCase();
+
+// Why this vendor can't use the coupon (first-time only, or their own uses
+// run out), or null. `excludePlanId` leaves out the plan being paid for.
+const checkVendorLimits = async (
+  coupon,
+  vendorId,
+  excludePlanId = null,
+  session = null
+) => {
+  const others = excludePlanId ? { _id: { $ne: excludePlanId } } : {};
+  // One query at a time: a transaction session can't run them in parallel
+  if (
+    coupon.firstTimeOnly &&
+    (await PaymentPlan.exists({ vendorId, status: "paid", ...others }).session(
+      session
+    ))
+  ) {
+    return "Coupon is only for first-time subscribers";
+  }
+  const vendorUses = await PaymentPlan.countDocuments({
+    vendorId,
+    couponId: coupon._id,
+    status: "paid",
+    ...others,
+  }).session(session);
+  if (vendorUses >= coupon.maxUsesPerVendor) {
+    return "You have already used this coupon";
+  }
+  return null;
+};
+
+// The coupon for `code` if this vendor can use it on this plan now,
+// otherwise { error } explaining why not
+const findApplicableCoupon = async (
+  code,
+  vendorId,
+  planType,
+  now = new Date()
+) => {
+  const coupon = await Coupon.findOne({
+    code: normalizeCode(code),
+    active: true,
+  }).lean();
+  if (
+    !coupon ||
+    coupon.validFrom > now ||
+    (coupon.validUntil && coupon.validUntil < now)
+  ) {
+    return { error: "Coupon is invalid or has expired" };
+  }
+  if (!coupon.planTypes.includes(planType)) {
+    return { error: `Coupon doesn't apply to the ${planType} plan` };
+  }
+  if (coupon.maxUses && coupon.usedCount >= coupon.maxUses) {
+    return { error: "Coupon has been fully redeemed" };
+  }
+
+  const error = await checkVendorLimits(coupon, vendorId);
+  return error ? { error } : { coupon };
+};
+
+// Rupees a coupon takes off an amount, never more than the amount
+const getCouponDiscount = (coupon, amount) => {
+  const discount =
+    coupon.discountType === "percentage"
+      ? Math.min(
+          (amount * coupon.value) / 100,
+          coupon.maxDiscount ?? Number.POSITIVE_INFINITY
+        )
+      : coupon.value;
+  return roundMoney(Math.min(discount, amount));
+};
+
+// Count a coupon as used by a paid plan. Usage is counted on payment, so
+// abandoned checkouts don't use up a limited coupon; the limits are checked
+// again since other orders may have been paid after the quote. Returns
+// whether the coupon was redeemed.
+const redeemCoupon = async (plan, session = null) => {
+  const coupon = await Coupon.findById(plan.couponId).session(session).lean();
+  if (
+    !coupon ||
+    (await checkVendorLimits(coupon, plan.vendorId, plan._id, session))
+  ) {
+    return false;
+  }
+
+  const { modifiedCount } = await Coupon.updateOne(
+    {
+      _id: coupon._id,
+      ...(coupon.maxUses ? { usedCount: { $lt: coupon.maxUses } } : {}),
+    },
+    { $inc: { usedCount: 1 } },
+    { session }
+  );
+  return modifiedCount > 0;
+};
+
+module.exports = {
+  normalizeCode,
+  findApplicableCoupon,
+  getCouponDiscount,
+  redeemCoupon,
+};
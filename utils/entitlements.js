@@ -0,0 +1,139 @@
+const Vendor = require("../models/Vendor");
+const PaymentPlan = require("../models/paymentModel");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Paid features stay on this long after a plan's endDate, to allow renewal
+const GRACE_PERIOD_DAYS = Number(process.env.PLAN_GRACE_PERIOD_DAYS) || 3;
+
+// What each plan allows. Businesses without a current paid plan are on free.
+// Counts are per business; smsPerMonth counts texts to walk-in customers.
+const PLAN_LIMITS = {
+  free: {
+    helpers: 1,
+    rateCards: 10,
+    smsPerMonth: 50,
+    analytics: false,
+    exports: false,
+  },
+  monthly: {
+    helpers: 25,
+    rateCards: 200,
+    smsPerMonth: 1000,
+    analytics: true,
+    exports: true,
+  },
+  yearly: {
+    helpers: 25,
+    rateCards: 200,
+    smsPerMonth: 1500,
+    analytics: true,
+    exports: true,
+  },
+};
+
+// Codes for the app to pick an upsell prompt
+const ENTITLEMENT_ERRORS = {
+  UPGRADE_REQUIRED: "UPGRADE_REQUIRED", // Free tier, feature needs a plan
+  SUBSCRIPTION_EXPIRED: "SUBSCRIPTION_EXPIRED", // Plan ended, grace is over
+  PLAN_LIMIT_REACHED: "PLAN_LIMIT_REACHED", // Count limit of the current plan
+};
+
+const FEATURE_NAMES = {
+  helpers: "helpers",
+  rateCards: "rate cards",
+  smsPerMonth: "SMS this month",
+  analytics: "analytics",
+  exports: "exports",
+};
+
+// The business an account's plan comes from: itself for owners, the joined
+// business for helpers
+const resolveBusinessId = async (accountId) => {
+  const vendor = await Vendor.findById(accountId)
+    .select("accountType helperJointBusiness")
+    .lean();
+  if (!vendor) return null;
+  return vendor.accountType === "helper"
+    ? vendor.helperJointBusiness || null
+    : vendor._id;
+};
+
+// Current plan and limits for the business behind an owner or helper.
+// status is active, grace (ended, within the grace period), expired (a plan
+// lapsed) or free (never paid).
+const getEntitlements = async (accountId, now = new Date()) => {
+  const vendorId = await resolveBusinessId(accountId);
+  const free = {
+    vendorId,
+    plan: "free",
+    status: "free",
+    limits: PLAN_LIMITS.free,
+  };
+  if (!vendorId) return free;
+
+  const graceStart = new Date(now.getTime() - GRACE_PERIOD_DAYS * DAY_MS);
+  const plan = await PaymentPlan.findOne({
+    vendorId,
+    status: "paid",
+    startDate: { $lte: now },
+    endDate: { $gte: graceStart },
+  })
+    .sort({ endDate: -1 })
+    .lean();
+
+  if (!plan) {
+    const lapsed = await PaymentPlan.exists({
+      vendorId,
+      status: "paid",
+      endDate: { $lt: graceStart },
+    });
+    return lapsed ? { ...free, status: "expired" } : free;
+  }
+
+  return {
+    vendorId,
+    plan: plan.planType,
+    status: plan.endDate >= now ? "active" : "grace",
+    planId: plan._id,
+    endDate: plan.endDate,
+    graceEndsAt: new Date(plan.endDate.getTime() + GRACE_PERIOD_DAYS * DAY_MS),
+    limits: PLAN_LIMITS[plan.planType],
+  };
+};
+
+// Response body refusing `feature`; pass `limit` for count limits
+const entitlementDenial = (entitlements, feature, limit) => {
+  const code =
+    limit !== undefined
+      ? ENTITLEMENT_ERRORS.PLAN_LIMIT_REACHED
+      : entitlements.status === "expired"
+      ? ENTITLEMENT_ERRORS.SUBSCRIPTION_EXPIRED
+      : ENTITLEMENT_ERRORS.UPGRADE_REQUIRED;
+
+  const message =
+    code === ENTITLEMENT_ERRORS.PLAN_LIMIT_REACHED
+      ? `Your ${entitlements.plan} plan allows up to ${limit} ${FEATURE_NAMES[feature]}`
+      : code === ENTITLEMENT_ERRORS.SUBSCRIPTION_EXPIRED
+      ? `Your plan has expired. Renew to use ${FEATURE_NAMES[feature]}`
+      : `A paid plan is needed for ${FEATURE_NAMES[feature]}`;
+
+  return {
+    success: false,
+    message,
+    data: {
+      code,
+      feature,
+      plan: entitlements.plan,
+      status: entitlements.status,
+      ...(limit !== undefined ? { limit } : {}),
+    },
+  };
+};
+
+module.exports = {
+  GRACE_PERIOD_DAYS,
+  PLAN_LIMITS,
+  ENTITLEMENT_ERRORS,
+  getEntitlements,
+  entitlementDenial,
+};
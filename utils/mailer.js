@@ -0,0 +1,12 @@
+const nodemailer = require("nodemailer");
+
+// Shared Gmail transporter for reset codes and support emails
+const transporter = nodemailer.createTransport({
+  service: "gmail",
+  auth: {
+    user: process.env.EMAIL_USER || "",
+    pass: process.env.EMAIL_PASS || "",
+  },
+});
+
+module.exports = transporter;
@@ -0,0 +1,133 @@
+const { atLocalTime } = require("./workingHours");
+
+const CATEGORIES = [
+  "queueMovement",
+  "breaks",
+  "serviceCompleted",
+  "promotions",
+  "supportReplies",
+];
+const CHANNELS = ["push", "sms", "email"];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Notification data types (push types and SMS events) per preference category
+const EVENT_CATEGORIES = {
+  queue_updated: "queueMovement",
+  queue_up_next: "queueMovement",
+  queue_skip: "queueMovement",
+  queue_hold: "queueMovement",
+  queue_unhold: "queueMovement",
+  queue_remove: "queueMovement",
+  queue_add_time: "queueMovement",
+  queue_undo: "queueMovement",
+  queue_start_service: "queueMovement",
+  queue_proximity: "queueMovement",
+  queue_check_in_required: "queueMovement",
+  queue_no_show_skip: "queueMovement",
+  queue_no_show_remove: "queueMovement",
+  business_break: "breaks",
+  helper_break: "breaks",
+  business_resumed: "breaks",
+  helper_resumed: "breaks",
+  queue_next: "serviceCompleted",
+  notification: "promotions",
+  support_reply: "supportReplies",
+};
+
+// Only worth sending while they're current; dropped during quiet hours
+// instead of delivered once they end
+const TIME_SENSITIVE = ["queueMovement", "breaks"];
+
+const getEventCategory = (type) => EVENT_CATEGORIES[type] || null;
+
+// Whether an account wants this type of notification on a channel.
+// Types outside the categories are always let through.
+const isChannelEnabled = (account, type, channel) => {
+  const category = getEventCategory(type);
+  const channels = account?.notificationPreferences?.[category];
+  if (!category || !channels) return true;
+  return channels[channel] !== false;
+};
+
+// End of the account's current quiet hours, or null outside them
+const getQuietHoursEnd = (account, now = new Date()) => {
+  const quietHours = account?.notificationPreferences?.quietHours;
+  if (!quietHours?.enabled || quietHours.start === quietHours.end) return null;
+
+  const start = atLocalTime(now, quietHours.start);
+  const end = atLocalTime(now, quietHours.end);
+  if (start < end) {
+    return now >= start && now < end ? end : null;
+  }
+  // Overnight, e.g. 22:00 to 07:00
+  if (now < end) return end;
+  if (now >= start) {
+    return atLocalTime(
+      new Date(now.getTime() + 24 * 60 * 60 * 1000),
+      quietHours.end
+    );
+  }
+  return null;
+};
+
+const isTimeSensitive = (type) =>
+  TIME_SENSITIVE.includes(getEventCategory(type));
+
+// Apply a (partial) preferences update from a request body to an account.
+// Returns an error message, or null once applied.
+const applyPreferencesUpdate = (account, update) => {
+  if (typeof update !== "object" || update === null) {
+    return "Notification preferences must be an object";
+  }
+
+  for (const [key, value] of Object.entries(update)) {
+    if (key === "quietHours") {
+      if (typeof value !== "object" || value === null) {
+        return "Quiet hours must be an object";
+      }
+      for (const field of ["start", "end"]) {
+        if (value[field] !== undefined && !TIME_PATTERN.test(value[field])) {
+          return `Quiet hours ${field} must be in HH:mm format`;
+        }
+      }
+      if (value.enabled !== undefined && typeof value.enabled !== "boolean") {
+        return "Quiet hours enabled must be a boolean";
+      }
+      for (const field of ["enabled", "start", "end"]) {
+        if (value[field] !== undefined) {
+          account.set(
+            `notificationPreferences.quietHours.${field}`,
+            value[field]
+          );
+        }
+      }
+      continue;
+    }
+
+    if (!CATEGORIES.includes(key)) {
+      return `Unknown notification category: ${key}`;
+    }
+    if (typeof value !== "object" || value === null) {
+      return `Channels for ${key} must be an object`;
+    }
+    for (const [channel, enabled] of Object.entries(value)) {
+      if (!CHANNELS.includes(channel)) {
+        return `Unknown notification channel: ${channel}`;
+      }
+      if (typeof enabled !== "boolean") {
+        return `${key}.${channel} must be a boolean`;
+      }
+      account.set(`notificationPreferences.${key}.${channel}`, enabled);
+    }
+  }
+  return null;
+};
+
+module.exports = {
+  EVENT_CATEGORIES,
+  getEventCategory,
+  isChannelEnabled,
+  getQuietHoursEnd,
+  isTimeSensitive,
+  applyPreferencesUpdate,
+};
@@ -0,0 +1,291 @@
+const axios = require("axios");
+const Notification = require("../models/Notification");
+const User = require("../models/User");
+const Vendor = require("../models/Vendor");
+const {
+  isChannelEnabled,
+  getQuietHoursEnd,
+  isTimeSensitive,
+} = require("./notificationPreferences");
+
+const EXPO_SEND_URL = "https://exp.host/--/api/v2/push/send";
+const EXPO_RECEIPTS_URL = "https://exp.host/--/api/v2/push/getReceipts";
+const EXPO_HEADERS = {
+  "Content-Type": "application/json",
+  Accept: "application/json",
+};
+const EXPO_BATCH_SIZE = 100; // Expo's limit per request
+const MAX_ATTEMPTS = 5;
+const RETRY_BASE_MS = 30 * 1000; // doubles after every failed attempt
+const CLAIM_MS = 2 * 60 * 1000; // keeps a send in progress from being picked up twice
+const RECEIPT_DELAY_MS = 15 * 60 * 1000; // Expo has receipts ready by then
+const RECEIPT_TTL_MS = 24 * 60 * 60 * 1000; // and drops them after this
+
+// Forget a token Expo reports as no longer registered
+const clearDeadToken = async (pushToken) => {
+  await Promise.all([
+    User.updateMany({ pushToken }, { $unset: { pushToken: 1 } }),
+    Vendor.updateMany({ pushToken }, { $unset: { pushToken: 1 } }),
+  ]);
+};
+
+// Send claimed notifications and record each ticket. Failures are retried
+// with backoff by the notification worker.
+const sendBatch = async (batch) => {
+  let tickets = null;
+  let requestError = null;
+  try {
+    const response = await axios.post(
+      EXPO_SEND_URL,
+      batch.map((notification) => ({
+        to: notification.pushToken,
+        sound: "default",
+        title: notification.title,
+        body: notification.body,
+        data: notification.data,
+      })),
+      { headers: EXPO_HEADERS }
+    );
+    tickets = response.data.data;
+    if (response.data.errors) {
+      requestError = response.data.errors[0]?.message || "Expo request failed";
+    }
+  } catch (err) {
+    requestError = err.response?.data?.errors?.[0]?.message || err.message;
+  }
+
+  for (const [index, notification] of batch.entries()) {
+    const ticket = Array.isArray(tickets) ? tickets[index] : null;
+    notification.attempts += 1;
+
+    if (ticket?.status === "ok") {
+      notification.status = "sent";
+      notification.ticketId = ticket.id;
+      notification.sentAt = new Date();
+      notification.lastError = undefined;
+    } else if (ticket?.details?.error === "DeviceNotRegistered") {
+      notification.status = "failed";
+      notification.lastError = ticket.message;
+      await clearDeadToken(notification.pushToken);
+    } else {
+      notification.lastError = ticket?.message || requestError;
+      if (notification.attempts >= MAX_ATTEMPTS) {
+        notification.status = "failed";
+      } else {
+        notification.nextAttemptAt = new Date(
+          Date.now() + RETRY_BASE_MS * 2 ** (notification.attempts - 1)
+        );
+      }
+    }
+    await notification.save();
+  }
+};
+
+const sendInBatches = async (notifications) => {
+  for (let i = 0; i < notifications.length; i += EXPO_BATCH_SIZE) {
+    await sendBatch(notifications.slice(i, i + EXPO_BATCH_SIZE));
+  }
+};
+
+// Record one notification per recipient and send them right away, except
+// those deferred until the recipient's quiet hours end
+const createAndSend = async (recipients, { title, body, data = {} }) => {
+  if (recipients.length === 0) return [];
+
+  const claimedUntil = new Date(Date.now() + CLAIM_MS);
+  const notifications = await Notification.insertMany(
+    recipients.map(({ recipientId, recipientType, pushToken, deferUntil }) => ({
+      recipientId,
+      recipientType,
+      pushToken,
+      title,
+      body,
+      data,
+      type: data.type,
+      nextAttemptAt: deferUntil || claimedUntil,
+    }))
+  );
+
+  try {
+    await sendInBatches(
+      notifications.filter(
+        (notification) => notification.nextAttemptAt <= claimedUntil
+      )
+    );
+  } catch (err) {
+    // Still in the outbox; the worker retries once the claim lapses
+    console.error("Notification send failed:", err);
+  }
+  return notifications;
+};
+
+// Drop recipients who turned this type of push off, or who are in quiet
+// hours for a time-sensitive one; hold the rest until quiet hours end
+const applyPreferences = (recipients, type) => {
+  const now = new Date();
+  return recipients.flatMap(({ account, ...recipient }) => {
+    if (!account) return [recipient];
+    if (!isChannelEnabled(account, type, "push")) return [];
+
+    const quietUntil = getQuietHoursEnd(account, now);
+    if (!quietUntil) return [recipient];
+    return isTimeSensitive(type)
+      ? []
+      : [{ ...recipient, deferUntil: quietUntil }];
+  });
+};
+
+// Recipients of one type who have notifications on and a push token
+const findRecipients = async (recipientIds, recipientType) => {
+  const ids = [...new Set(recipientIds.filter(Boolean))];
+  if (ids.length === 0) return [];
+
+  const accounts =
+    recipientType === "vendor"
+      ? await Vendor.find({ _id: { $in: ids }, receiveNotification: true })
+          .select("pushToken notificationPreferences")
+          .lean()
+      : await User.find({ _id: { $in: ids }, receiveNotifications: true })
+          .select("pushToken notificationPreferences")
+          .lean();
+
+  return accounts
+    .filter((account) => account.pushToken)
+    .map((account) => ({
+      recipientId: account._id,
+      recipientType,
+      pushToken: account.pushToken,
+      account,
+    }));
+};
+
+// Notify several users (or vendors) with the same message
+const notifyMany = async (recipientIds, message, recipientType = "user") =>
+  createAndSend(
+    applyPreferences(
+      await findRecipients(recipientIds, recipientType),
+      message.data?.type
+    ),
+    message
+  );
+
+// Notify one user (or vendor); null when they can't receive it
+const notify = async (recipientId, message, recipientType = "user") => {
+  const [notification] = await notifyMany(
+    [recipientId],
+    message,
+    recipientType
+  );
+  return notification || null;
+};
+
+// Notify raw push tokens, attributing each to its account when known so
+// that account's preferences apply
+const notifyPushTokens = async (pushTokens, message) => {
+  const tokens = [...new Set(pushTokens)];
+  const [users, vendors] = await Promise.all([
+    User.find({ pushToken: { $in: tokens } })
+      .select("pushToken notificationPreferences")
+      .lean(),
+    Vendor.find({ pushToken: { $in: tokens } })
+      .select("pushToken notificationPreferences")
+      .lean(),
+  ]);
+
+  const owners = new Map();
+  users.forEach((u) =>
+    owners.set(u.pushToken, {
+      recipientId: u._id,
+      recipientType: "user",
+      account: u,
+    })
+  );
+  vendors.forEach((v) =>
+    owners.set(v.pushToken, {
+      recipientId: v._id,
+      recipientType: "vendor",
+      account: v,
+    })
+  );
+
+  return createAndSend(
+    applyPreferences(
+      tokens.map((pushToken) => ({ pushToken, ...owners.get(pushToken) })),
+      message.data?.type
+    ),
+    message
+  );
+};
+
+// Send every pending notification whose retry is due
+const dispatchPending = async () => {
+  const due = await Notification.find({
+    status: "pending",
+    nextAttemptAt: { $lte: new Date() },
+  })
+    .select("_id")
+    .limit(EXPO_BATCH_SIZE * 10)
+    .lean();
+
+  // Claim one at a time so an overlapping run can't send it too
+  const claimed = [];
+  for (const { _id } of due) {
+    const notification = await Notification.findOneAndUpdate(
+      { _id, status: "pending", nextAttemptAt: { $lte: new Date() } },
+      { nextAttemptAt: new Date(Date.now() + CLAIM_MS) },
+      { new: true }
+    );
+    if (notification) claimed.push(notification);
+  }
+
+  await sendInBatches(claimed);
+  return claimed.length;
+};
+
+// Check Expo receipts for sent notifications; drop tokens of uninstalled apps
+const pollReceipts = async () => {
+  const now = Date.now();
+  const sent = await Notification.find({
+    status: "sent",
+    ticketId: { $exists: true },
+    sentAt: {
+      $lte: new Date(now - RECEIPT_DELAY_MS),
+      $gte: new Date(now - RECEIPT_TTL_MS),
+    },
+  }).limit(1000);
+
+  for (let i = 0; i < sent.length; i += 300) {
+    const batch = sent.slice(i, i + 300);
+    const response = await axios.post(
+      EXPO_RECEIPTS_URL,
+      { ids: batch.map((notification) => notification.ticketId) },
+      { headers: EXPO_HEADERS }
+    );
+    const receipts = response.data.data || {};
+
+    for (const notification of batch) {
+      const receipt = receipts[notification.ticketId];
+      if (!receipt) continue; // Not ready yet
+
+      if (receipt.status === "ok") {
+        notification.status = "delivered";
+        notification.deliveredAt = new Date();
+      } else {
+        notification.status = "failed";
+        notification.lastError = receipt.message;
+        if (receipt.details?.error === "DeviceNotRegistered") {
+          await clearDeadToken(notification.pushToken);
+        }
+      }
+      await notification.save();
+    }
+  }
+};
+
+module.exports = {
+  notify,
+  notifyMany,
+  notifyPushTokens,
+  dispatchPending,
+  pollReceipts,
+};
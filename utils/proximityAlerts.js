@@ -0,0 +1,59 @@
+const Queue = require("../models/Queue");
+const { notify } = require("./notifications");
+
+// Push "almost up" alerts to customers whose entry crossed the position or
+// wait they subscribed to. Each alert fires once per subscription.
+const evaluateProximityAlerts = async (entries) => {
+  for (const entry of entries) {
+    const alerts = entry.proximityAlerts;
+    if (!alerts || !entry.userId || entry.status !== "in_queue") continue;
+
+    const reached = [];
+    if (
+      alerts.position &&
+      !alerts.positionSentAt &&
+      entry.currentPosition <= alerts.position
+    ) {
+      reached.push("position");
+    }
+    if (
+      alerts.waitMinutes &&
+      !alerts.waitSentAt &&
+      entry.estimatedWait <= alerts.waitMinutes
+    ) {
+      reached.push("wait");
+    }
+    if (reached.length === 0) continue;
+
+    // Claim the alerts so concurrent recalculations don't send them twice
+    const claim = { _id: entry._id };
+    const now = new Date();
+    const update = {};
+    reached.forEach((kind) => {
+      claim[`proximityAlerts.${kind}SentAt`] = null;
+      update[`proximityAlerts.${kind}SentAt`] = now;
+    });
+    const result = await Queue.updateOne(claim, { $set: update });
+    if (result.modifiedCount === 0) continue;
+
+    try {
+      await notify(entry.userId, {
+        title: "You're Almost Up",
+        body:
+          entry.currentPosition === 1
+            ? "You're next in the queue. Time to head over!"
+            : `You're #${entry.currentPosition} in the queue, about ${entry.estimatedWait} mins to go. Time to head over!`,
+        data: {
+          type: "queue_proximity",
+          queueId: entry._id,
+          position: entry.currentPosition,
+          estimatedWait: entry.estimatedWait,
+        },
+      });
+    } catch (err) {
+      console.error(`Proximity alert failed for ${entry._id}:`, err);
+    }
+  }
+};
+
+module.exports = { evaluateProximityAlerts };
@@ -0,0 +1,373 @@
+const Queue = require("../models/Queue");
+const Break = require("../models/Break");
+const Vendor = require("../models/Vendor");
+const RateCard = require("../models/RateCard");
+const { TIMEZONE, getOpenMinutesBetween } = require("./workingHours");
+
+const BUSIEST_SERVICES_LIMIT = 10;
+
+// When an entry was finished; older entries have no completedAt stamp
+const FINISHED_AT = { $ifNull: ["$completedAt", "$updatedAt"] };
+const IS_COMPLETED = { $eq: ["$status", "completed"] };
+
+// True when any updateHistory record matches `cond` (on "$$h")
+const hasHistory = (cond) => ({
+  $gt: [
+    {
+      $size: {
+        $filter: { input: "$updateHistory", as: "h", cond },
+      },
+    },
+    0,
+  ],
+});
+
+const countIf = (cond) => ({ $sum: { $cond: [cond, 1, 0] } });
+const completedOnly = (value) => ({ $cond: [IS_COMPLETED, value, null] });
+
+const round = (value, places = 1) =>
+  value === null || value === undefined
+    ? null
+    : Math.round(value * 10 ** places) / 10 ** places;
+
+const rate = (count, total) => (total > 0 ? round(count / total, 4) : 0);
+
+// Entries that joined within the range, flagged for skips and no-shows
+const matchEntries = ({ vendorId, helperId, start, end }) => [
+  {
+    $match: {
+      vendorId,
+      ...(helperId ? { helperId } : {}),
+      joiningTime: { $gte: start, $lte: end },
+    },
+  },
+  {
+    $addFields: {
+      finishedAt: FINISHED_AT,
+      wasSkipped: hasHistory({ $eq: ["$$h.action", "skip"] }),
+      // Skipped or removed by the no-show and check-in jobs
+      wasNoShow: hasHistory({
+        $and: [
+          { $in: ["$$h.action", ["skip", "remove"]] },
+          { $eq: ["$$h.source", "system"] },
+        ],
+      }),
+    },
+  },
+];
+
+// Totals, rates and wait accuracy over a set of entries
+const summaryGroup = (_id) => ({
+  $group: {
+    _id,
+    entries: { $sum: 1 },
+    served: countIf(IS_COMPLETED),
+    removed: countIf({ $eq: ["$status", "removed"] }),
+    skipped: countIf("$wasSkipped"),
+    noShows: countIf("$wasNoShow"),
+    revenue: { $sum: completedOnly("$total") },
+    avgActualWait: { $avg: completedOnly("$actualWait") },
+    // Same entries as avgActualWait, with the wait quoted on joining
+    avgEstimatedWait: {
+      $avg: {
+        $cond: [
+          { $and: [IS_COMPLETED, { $isNumber: "$actualWait" }] },
+          { $ifNull: ["$initialEstimatedWait", "$estimatedWait"] },
+          null,
+        ],
+      },
+    },
+    avgServiceDuration: { $avg: completedOnly("$actualServiceDuration") },
+    serviceMinutes: { $sum: completedOnly("$actualServiceDuration") },
+    avgRating: { $avg: "$rating" },
+    ratings: countIf({ $isNumber: "$rating" }),
+    servedDays: {
+      $addToSet: completedOnly({
+        $dateToString: {
+          format: "%Y-%m-%d",
+          date: "$finishedAt",
+          timezone: TIMEZONE,
+        },
+      }),
+    },
+  },
+});
+
+// Round a summary group and derive its rates
+const formatSummary = (group = {}) => {
+  const entries = group.entries || 0;
+  const served = group.served || 0;
+  const servedDays = (group.servedDays || []).filter(Boolean).length;
+  return {
+    entries,
+    served,
+    removed: group.removed || 0,
+    revenue: round(group.revenue || 0, 2),
+    skipRate: rate(group.skipped || 0, entries),
+    removeRate: rate(group.removed || 0, entries),
+    noShowRate: rate(group.noShows || 0, entries),
+    avgActualWait: round(group.avgActualWait),
+    avgEstimatedWait: round(group.avgEstimatedWait),
+    // Positive when customers waited longer than quoted
+    avgWaitError:
+      group.avgActualWait !== null &&
+      group.avgActualWait !== undefined &&
+      group.avgEstimatedWait !== null &&
+      group.avgEstimatedWait !== undefined
+        ? round(group.avgActualWait - group.avgEstimatedWait)
+        : null,
+    avgServiceDuration: round(group.avgServiceDuration),
+    serviceMinutes: group.serviceMinutes || 0,
+    avgRating: round(group.avgRating, 2),
+    ratings: group.ratings || 0,
+    servedPerDay: servedDays > 0 ? round(served / servedDays) : 0,
+  };
+};
+
+// Dashboard metrics for a business (or one helper) over a date range
+const getBusinessAnalytics = async ({ vendorId, helperId, start, end }) => {
+  const [result] = await Queue.aggregate([
+    ...matchEntries({ vendorId, helperId, start, end }),
+    {
+      $facet: {
+        summary: [summaryGroup(null)],
+        servedByDay: [
+          { $match: { status: "completed" } },
+          {
+            $group: {
+              _id: {
+                $dateToString: {
+                  format: "%Y-%m-%d",
+                  date: "$finishedAt",
+                  timezone: TIMEZONE,
+                },
+              },
+              served: { $sum: 1 },
+              revenue: { $sum: "$total" },
+            },
+          },
+          { $sort: { _id: 1 } },
+          { $project: { _id: 0, date: "$_id", served: 1, revenue: 1 } },
+        ],
+        servedByHour: [
+          { $match: { status: "completed" } },
+          {
+            $group: {
+              _id: { $hour: { date: "$finishedAt", timezone: TIMEZONE } },
+              served: { $sum: 1 },
+            },
+          },
+          { $sort: { _id: 1 } },
+          { $project: { _id: 0, hour: "$_id", served: 1 } },
+        ],
+        helpers: [
+          summaryGroup("$helperId"),
+          {
+            $lookup: {
+              from: Vendor.collection.name,
+              localField: "_id",
+              foreignField: "_id",
+              as: "helper",
+            },
+          },
+          { $set: { helper: { $arrayElemAt: ["$helper.fullName", 0] } } },
+          { $sort: { served: -1 } },
+        ],
+        services: [
+          {
+            $group: {
+              _id: "$serviceId",
+              entries: { $sum: 1 },
+              served: countIf(IS_COMPLETED),
+              revenue: { $sum: completedOnly("$total") },
+              avgServiceDuration: {
+                $avg: completedOnly("$actualServiceDuration"),
+              },
+            },
+          },
+          { $sort: { served: -1, entries: -1 } },
+          { $limit: BUSIEST_SERVICES_LIMIT },
+          {
+            $lookup: {
+              from: RateCard.collection.name,
+              localField: "_id",
+              foreignField: "_id",
+              as: "service",
+            },
+          },
+          { $set: { service: { $arrayElemAt: ["$service.name", 0] } } },
+        ],
+      },
+    },
+  ]);
+
+  return {
+    range: { start, end, timezone: TIMEZONE },
+    summary: formatSummary(result.summary[0]),
+    servedByDay: result.servedByDay.map((day) => ({
+      ...day,
+      revenue: round(day.revenue, 2),
+    })),
+    servedByHour: result.servedByHour,
+    helpers: result.helpers.map((group) => ({
+      helperId: group._id,
+      name: group.helper || "Unknown",
+      ...formatSummary(group),
+    })),
+    busiestServices: result.services.map((group) => ({
+      serviceId: group._id,
+      name: group.service || "Unknown Service",
+      entries: group.entries,
+      served: group.served,
+      revenue: round(group.revenue, 2),
+      avgServiceDuration: round(group.avgServiceDuration),
+    })),
+  };
+};
+
+// Breaks overlapping a range, with the minutes that fall inside it
+const getBreaksInRange = async (vendorId, helperId, start, end) => {
+  const breaks = await Break.find({
+    vendorId,
+    helperId,
+    startedAt: { $lt: end },
+    $or: [{ endedAt: null }, { endedAt: { $gt: start } }],
+  })
+    .sort({ startedAt: 1 })
+    .lean();
+
+  const now = new Date();
+  return breaks.map((b) => {
+    const from = b.startedAt > start ? b.startedAt : start;
+    const until = b.endedAt || now;
+    const to = until < end ? until : end;
+    return {
+      ...b,
+      minutes: Math.max(0, Math.round((to - from) / (60 * 1000))),
+    };
+  });
+};
+
+// Performance of one helper over a range. Idle time is open time not spent
+// serving or on a break; it starts once the helper joined the business.
+const getHelperPerformance = async ({
+  vendor,
+  helperId,
+  joinedAt,
+  start,
+  end,
+}) => {
+  const [result] = await Queue.aggregate([
+    ...matchEntries({ vendorId: vendor._id, helperId, start, end }),
+    {
+      $facet: {
+        summary: [summaryGroup(null)],
+        servedByDay: [
+          { $match: { status: "completed" } },
+          {
+            $group: {
+              _id: {
+                $dateToString: {
+                  format: "%Y-%m-%d",
+                  date: "$finishedAt",
+                  timezone: TIMEZONE,
+                },
+              },
+              served: { $sum: 1 },
+              revenue: { $sum: "$total" },
+              serviceMinutes: { $sum: "$actualServiceDuration" },
+            },
+          },
+          { $sort: { _id: 1 } },
+          {
+            $project: {
+              _id: 0,
+              date: "$_id",
+              served: 1,
+              revenue: 1,
+              serviceMinutes: 1,
+            },
+          },
+        ],
+        services: [
+          { $match: { status: "completed" } },
+          {
+            $group: {
+              _id: "$serviceId",
+              served: { $sum: 1 },
+              revenue: { $sum: "$total" },
+              avgServiceDuration: { $avg: "$actualServiceDuration" },
+            },
+          },
+          { $sort: { served: -1 } },
+          {
+            $lookup: {
+              from: RateCard.collection.name,
+              localField: "_id",
+              foreignField: "_id",
+              as: "service",
+            },
+          },
+          { $set: { service: { $arrayElemAt: ["$service.name", 0] } } },
+        ],
+      },
+    },
+  ]);
+
+  const [helperBreaks, businessBreaks] = await Promise.all([
+    getBreaksInRange(vendor._id, helperId, start, end),
+    getBreaksInRange(vendor._id, null, start, end),
+  ]);
+  const sumMinutes = (breaks) => breaks.reduce((sum, b) => sum + b.minutes, 0);
+
+  const summary = formatSummary(result.summary[0]);
+  const now = new Date();
+  const workedFrom = joinedAt && joinedAt > start ? joinedAt : start;
+  const workedUntil = end < now ? end : now;
+  const openMinutes =
+    workedFrom < workedUntil
+      ? getOpenMinutesBetween(vendor, workedFrom, workedUntil)
+      : 0;
+  const breakMinutes = sumMinutes(helperBreaks);
+  const businessBreakMinutes = sumMinutes(businessBreaks);
+
+  return {
+    range: { start, end, timezone: TIMEZONE },
+    helperId,
+    summary,
+    breaks: {
+      count: helperBreaks.length,
+      minutes: breakMinutes,
+      businessCount: businessBreaks.length,
+      businessMinutes: businessBreakMinutes,
+      items: helperBreaks.map(
+        ({ _id, reason, plannedDuration, startedAt, endedAt, minutes }) => ({
+          breakId: _id,
+          reason,
+          plannedDuration,
+          startedAt,
+          endedAt,
+          minutes,
+        })
+      ),
+    },
+    openMinutes,
+    idleMinutes: Math.max(
+      0,
+      openMinutes - summary.serviceMinutes - breakMinutes - businessBreakMinutes
+    ),
+    servedByDay: result.servedByDay.map((day) => ({
+      ...day,
+      revenue: round(day.revenue, 2),
+    })),
+    services: result.services.map((group) => ({
+      serviceId: group._id,
+      name: group.service || "Unknown Service",
+      served: group.served,
+      revenue: round(group.revenue, 2),
+      avgServiceDuration: round(group.avgServiceDuration),
+    })),
+  };
+};
+
+module.exports = { getBusinessAnalytics, getHelperPerformance };
@@ -0,0 +1,187 @@
+const { once } = require("events");
+const PDFDocument = require("pdfkit");
+const {
+  TIMEZONE,
+  getLocalParts,
+  toLocalDateString,
+} = require("./workingHours");
+
+const BATCH_SIZE = 500;
+
+// Columns of an exported queue history, in order
+const EXPORT_COLUMNS = [
+  { key: "date", label: "Date", width: 58 },
+  { key: "customer", label: "Customer", width: 100 },
+  { key: "customerType", label: "Type", width: 40 },
+  { key: "business", label: "Business", width: 100 },
+  { key: "service", label: "Service", width: 100 },
+  { key: "helper", label: "Helper", width: 85 },
+  { key: "joinedAt", label: "Joined", width: 38 },
+  { key: "startedAt", label: "Started", width: 38 },
+  { key: "completedAt", label: "Completed", width: 45 },
+  { key: "status", label: "Status", width: 55 },
+  { key: "total", label: "Total", width: 50 },
+];
+
+const pad = (n) => String(n).padStart(2, "0");
+
+// "HH:mm" in business time
+const formatTime = (date) => {
+  if (!date) return "";
+  const { hour, minute } = getLocalParts(new Date(date));
+  return `${pad(hour)}:${pad(minute)}`;
+};
+
+const customerName = (queue) =>
+  queue.userType === "manual"
+    ? queue.manualUserId?.name || "Unknown"
+    : [queue.userId?.firstName, queue.userId?.lastName]
+        .filter(Boolean)
+        .join(" ") || "Unknown";
+
+// Flatten a populated queue entry into export columns
+const toExportRow = (queue) => ({
+  date: toLocalDateString(new Date(queue.joiningTime)),
+  customer: customerName(queue),
+  customerType: queue.userType,
+  business: queue.vendorId?.businessName || "",
+  service: queue.serviceId?.name || "Unknown Service",
+  helper: queue.helperId?.fullName || "",
+  joinedAt: formatTime(queue.joiningTime),
+  startedAt: formatTime(queue.serviceStartedAt),
+  completedAt: formatTime(queue.completedAt),
+  status: queue.status,
+  total: Number(queue.total || 0).toFixed(2),
+});
+
+// Quote a CSV field; a leading =, +, - or @ is defused so spreadsheets
+// don't run it as a formula
+const csvField = (value) => {
+  let text = String(value ?? "");
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvLine = (values) => `${values.map(csvField).join(",")}\r\n`;
+
+const setDownloadHeaders = (res, contentType, filename) => {
+  res.setHeader("Content-Type", contentType);
+  res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+};
+
+// Wait until the client has taken the buffered output, or gone away
+const waitForDrain = (res) =>
+  new Promise((resolve) => {
+    const done = () => {
+      res.off("drain", done);
+      res.off("close", done);
+      resolve();
+    };
+    res.on("drain", done);
+    res.on("close", done);
+  });
+
+// Stream a queue cursor as CSV, one row at a time
+const streamCsv = async (res, cursor, filename) => {
+  setDownloadHeaders(res, "text/csv; charset=utf-8", filename);
+  res.write(csvLine(EXPORT_COLUMNS.map((column) => column.label)));
+
+  for await (const queue of cursor) {
+    const row = toExportRow(queue);
+    if (!res.write(csvLine(EXPORT_COLUMNS.map((column) => row[column.key])))) {
+      await waitForDrain(res);
+    }
+    if (res.destroyed) break; // Client disconnected
+  }
+  res.end();
+};
+
+// Stream a queue cursor as a PDF table followed by a summary of counts and
+// revenue. Pages are flushed as they fill, and rows wait while the client
+// catches up, so memory stays flat.
+const streamPdf = async (res, cursor, { title, subtitle }, filename) => {
+  setDownloadHeaders(res, "application/pdf", filename);
+
+  const doc = new PDFDocument({ size: "A4", layout: "landscape", margin: 30 });
+  doc.pipe(res);
+  const bottom = doc.page.height - doc.page.margins.bottom;
+
+  doc.fontSize(14).font("Helvetica-Bold").text(title);
+  doc.fontSize(9).font("Helvetica").text(`${subtitle} (times in ${TIMEZONE})`);
+  doc.moveDown();
+
+  const drawRow = (values, bold = false) => {
+    if (doc.y + 12 > bottom) doc.addPage();
+    const y = doc.y;
+    let x = doc.page.margins.left;
+    doc.fontSize(7).font(bold ? "Helvetica-Bold" : "Helvetica");
+    values.forEach((value, i) => {
+      const { width } = EXPORT_COLUMNS[i];
+      doc.text(String(value ?? ""), x, y, {
+        width: width - 4,
+        height: 10,
+        ellipsis: true,
+        lineBreak: false,
+      });
+      x += width;
+    });
+    doc.x = doc.page.margins.left;
+    doc.y = y + 12;
+  };
+  const drawHeader = () =>
+    drawRow(
+      EXPORT_COLUMNS.map((column) => column.label),
+      true
+    );
+
+  drawHeader();
+  doc.on("pageAdded", drawHeader);
+
+  const summary = { entries: 0, revenue: 0, byStatus: {} };
+  for await (const queue of cursor) {
+    const row = toExportRow(queue);
+    drawRow(EXPORT_COLUMNS.map((column) => row[column.key]));
+
+    summary.entries += 1;
+    summary.byStatus[queue.status] = (summary.byStatus[queue.status] || 0) + 1;
+    if (queue.status === "completed") summary.revenue += queue.total || 0;
+
+    if (res.writableNeedDrain) await waitForDrain(res);
+    if (res.destroyed) return; // Client disconnected
+  }
+  doc.off("pageAdded", drawHeader);
+
+  if (doc.y + 80 > bottom) doc.addPage();
+  doc.moveDown();
+  doc.fontSize(11).font("Helvetica-Bold").text("Summary");
+  doc.fontSize(9).font("Helvetica");
+  doc.text(`Entries: ${summary.entries}`);
+  Object.entries(summary.byStatus).forEach(([status, count]) =>
+    doc.text(`${status}: ${count}`)
+  );
+  doc.text(`Revenue (completed): ${summary.revenue.toFixed(2)}`);
+
+  doc.end();
+  await once(res, "finish");
+};
+
+// Send a queue history query as a CSV or PDF download
+const exportQueueHistory = async (
+  res,
+  query,
+  format,
+  { title, subtitle, filename }
+) => {
+  const cursor = query.lean().cursor({ batchSize: BATCH_SIZE });
+  try {
+    if (format === "pdf") {
+      await streamPdf(res, cursor, { title, subtitle }, `${filename}.pdf`);
+    } else {
+      await streamCsv(res, cursor, `${filename}.csv`);
+    }
+  } finally {
+    await cursor.close();
+  }
+};
+
+module.exports = { EXPORT_COLUMNS, exportQueueHistory };
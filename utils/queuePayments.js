@@ -0,0 +1,80 @@
+const Queue = require("../models/Queue");
+const Invoice = require("../models/Invoice");
+const { razorpay } = require("./razorpay");
+
+// What the customer owes for an entry: the invoice once billed, else the
+// service price quoted on joining. Null once billed as settled at the
+// counter; only a "pending" invoice is left to pay online.
+const getPayableAmount = async (queue, session = null) => {
+  if (queue.invoiceId) {
+    const invoice = await Invoice.findById(queue.invoiceId)
+      .select("total paymentMethod")
+      .session(session)
+      .lean();
+    if (invoice) {
+      return invoice.paymentMethod === "pending" ? invoice.total : null;
+    }
+  }
+  return queue.total;
+};
+
+// Mark a billed entry's pending invoice as settled by its online payment.
+// An invoice already settled another way is left alone.
+const settleInvoiceOnline = async (queue) => {
+  if (!queue.invoiceId) return;
+  await Invoice.updateOne(
+    { _id: queue.invoiceId, paymentMethod: "pending" },
+    { paymentMethod: "online", paymentReference: queue.payment.paymentId }
+  );
+};
+
+// Flag a paid entry for refund. Caller saves, then calls refundQueuePayment
+// once committed. Returns whether a refund is due.
+const markRefundDue = (queue) => {
+  if (queue.payment?.status !== "paid") return false;
+  queue.payment.status = "refund_pending";
+  return true;
+};
+
+// Refund an entry flagged by markRefundDue. On failure the entry stays
+// refund_pending for support to settle. Never throws.
+const refundQueuePayment = async (queueId) => {
+  try {
+    const queue = await Queue.findById(queueId);
+    if (queue?.payment?.status !== "refund_pending") return;
+
+    const refund = await razorpay.payments.refund(queue.payment.paymentId, {
+      amount: Math.round(queue.payment.amount * 100), // in paise
+      notes: { queueId: queue._id, reason: "Removed from queue by vendor" },
+    });
+
+    queue.payment.status = "refunded";
+    queue.payment.refundId = refund.id;
+    queue.payment.refundedAt = new Date();
+    await queue.save();
+  } catch (err) {
+    console.error(`Refund for queue entry ${queueId} failed:`, err);
+  }
+};
+
+// Return a captured Razorpay payment for an entry that was already paid,
+// e.g. an earlier order paid late. Never throws.
+const refundDuplicatePayment = async (queueId, payment) => {
+  try {
+    if (payment.amount_refunded > 0) return;
+    await razorpay.payments.refund(payment.id, {
+      amount: payment.amount, // in paise
+      notes: { queueId, reason: "Queue entry was already paid" },
+    });
+  } catch (err) {
+    console.error(`Refund of payment ${payment.id} failed:`, err);
+  }
+};
+
+module.exports = {
+  getPayableAmount,
+  settleInvoiceOnline,
+  markRefundDue,
+  refundQueuePayment,
+  refundDuplicatePayment,
+};
@@ -0,0 +1,181 @@
+const Queue = require("../models/Queue");
+const { shiftPastAppointments } = require("./appointments");
+const {
+  ACTIVE_STATUSES,
+  loadLearnedDurations,
+  getHelperWorkAhead,
+  toWaitRange,
+} = require("./waitEstimator");
+const { addWorkingMinutes } = require("./workingHours");
+
+// Start time after `workMinutes` of queue ahead, counting only open hours
+// and fitting around booked appointments. `notBefore` holds a later service
+// of a visit until the earlier one is done.
+const estimateStartTime = async (
+  vendor,
+  helperId,
+  workMinutes,
+  duration,
+  session = null,
+  notBefore = null
+) => {
+  let start = addWorkingMinutes(vendor, new Date(), workMinutes, duration);
+  if (notBefore && start < notBefore) {
+    start = addWorkingMinutes(vendor, notBefore, 0, duration);
+  }
+  const shifted = await shiftPastAppointments(
+    helperId,
+    start,
+    duration,
+    session
+  );
+  return shifted > start
+    ? addWorkingMinutes(vendor, shifted, 0, duration)
+    : start;
+};
+
+// Minutes from now until a start time
+const minutesUntil = (date) =>
+  Math.max(0, Math.round((date - Date.now()) / (60 * 1000)));
+
+// Re-estimate an entry from the work now queued ahead of its position
+const refreshEstimate = async (vendor, queue, duration, session = null) => {
+  const work = await getHelperWorkAhead(queue.vendorId, queue.helperId, {
+    beforePosition: queue.currentPosition,
+    learned: await loadLearnedDurations(vendor, session),
+    session,
+  });
+  queue.estimatedServiceStartTime = await estimateStartTime(
+    vendor,
+    queue.helperId,
+    work.minutes,
+    duration,
+    session
+  );
+  queue.estimatedWait = minutesUntil(queue.estimatedServiceStartTime);
+  queue.estimatedWaitRange = toWaitRange(queue.estimatedWait, work);
+};
+
+// Swap an entry with the next waiting person on its helper. Returns that
+// person (saved), or null when nobody is behind to swap with. `reason` tags
+// the skipped entry's history for system skips.
+const skipEntry = async (vendor, queue, source, session = null, reason) => {
+  const nextPerson = await Queue.findOne({
+    vendorId: queue.vendorId,
+    helperId: queue.helperId,
+    currentPosition: { $gt: queue.currentPosition },
+    status: "in_queue",
+  })
+    .sort({ currentPosition: 1 })
+    .populate("serviceId", "duration")
+    .session(session);
+
+  if (!nextPerson) return null;
+
+  // Swap positions
+  const previousPosition = queue.currentPosition;
+  queue.currentPosition = nextPerson.currentPosition;
+  nextPerson.currentPosition = previousPosition;
+
+  // Recalculate times once the swap is visible to the estimator
+  await nextPerson.save({ session });
+  await queue.save({ session });
+  await refreshEstimate(vendor, queue, queue.serviceId.duration, session);
+  await refreshEstimate(
+    vendor,
+    nextPerson,
+    nextPerson.serviceId.duration,
+    session
+  );
+
+  // Update histories
+  queue.updateHistory.push({
+    action: "skip",
+    source,
+    reason,
+    timestamp: new Date(),
+    previousPosition,
+    newPosition: queue.currentPosition,
+    estimatedWait: queue.estimatedWait,
+  });
+
+  nextPerson.updateHistory.push({
+    action: "skip",
+    source,
+    timestamp: new Date(),
+    previousPosition: queue.currentPosition,
+    newPosition: previousPosition,
+    estimatedWait: nextPerson.estimatedWait,
+  });
+
+  await nextPerson.save({ session });
+  await queue.save({ session });
+  return nextPerson;
+};
+
+// Put an entry on hold; it keeps blocking its position. Caller saves.
+const holdEntry = (queue, source, reason) => {
+  if (queue.status === "hold") {
+    throw new Error("Queue entry is already on hold");
+  }
+
+  queue.status = "hold";
+  queue.updateHistory.push({
+    action: "hold",
+    source,
+    reason,
+    timestamp: new Date(),
+    previousPosition: queue.currentPosition,
+    newPosition: queue.currentPosition,
+    estimatedWait: queue.estimatedWait,
+  });
+};
+
+// Take an entry out of the queue. Caller saves.
+const removeEntry = (queue, source, reason) => {
+  queue.status = "removed";
+  queue.updateHistory.push({
+    action: "remove",
+    source,
+    reason,
+    timestamp: new Date(),
+    previousPosition: queue.currentPosition,
+    newPosition: queue.currentPosition,
+    estimatedWait: queue.estimatedWait,
+  });
+};
+
+// Move everyone behind a departed entry up one place and re-estimate them.
+// For callers that can't trigger a restructure. Returns the moved entries.
+const closePositionGap = async (vendor, queue, session = null) => {
+  const behind = await Queue.find({
+    vendorId: queue.vendorId,
+    helperId: queue.helperId,
+    status: { $in: ACTIVE_STATUSES },
+    currentPosition: { $gt: queue.currentPosition },
+  })
+    .sort({ currentPosition: 1 })
+    .populate("serviceId", "duration")
+    .session(session);
+
+  for (const entry of behind) {
+    entry.currentPosition -= 1;
+    await entry.save({ session });
+  }
+  for (const entry of behind) {
+    await refreshEstimate(vendor, entry, entry.serviceId.duration, session);
+    await entry.save({ session });
+  }
+
+  return behind;
+};
+
+module.exports = {
+  estimateStartTime,
+  minutesUntil,
+  refreshEstimate,
+  skipEntry,
+  holdEntry,
+  removeEntry,
+  closePositionGap,
+};
@@ -0,0 +1,30 @@
+const crypto = require("crypto");
+const Razorpay = require("razorpay");
+
+const razorpay = new Razorpay({
+  key_id: process.env.RAZORPAY_KEY_ID,
+  key_secret: process.env.RAZORPAY_KEY_SECRET,
+});
+
+// Checkout returns an HMAC-SHA256 of "<order_id>|<payment_id>" keyed with
+// our secret; a match proves the payment came from our order
+const isValidPaymentSignature = (orderId, paymentId, signature) => {
+  const sign = orderId + "|" + paymentId;
+  const expectedSign = crypto
+    .createHmac("sha256", process.env.RAZORPAY_KEY_SECRET)
+    .update(sign.toString())
+    .digest("hex");
+  return expectedSign === signature;
+};
+
+// Webhooks are signed over the raw request body with the webhook secret set
+// in the Razorpay dashboard. Nothing passes until that secret is configured.
+const isValidWebhookSignature = (rawBody, signature) =>
+  Boolean(process.env.RAZORPAY_WEBHOOK_SECRET) &&
+  Razorpay.validateWebhookSignature(
+    rawBody.toString(),
+    signature,
+    process.env.RAZORPAY_WEBHOOK_SECRET
+  );
+
+module.exports = { razorpay, isValidPaymentSignature, isValidWebhookSignature };
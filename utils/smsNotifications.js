@@ -0,0 +1,133 @@
+const redis = require("redis");
+const ManualAddUsers = require("../models/ManualAddUsers");
+const twilioClient = require("./twilioClient");
+const { getLocalParts } = require("./workingHours");
+const { getEntitlements } = require("./entitlements");
+
+const redisClient = redis.createClient({ url: process.env.REDIS_URL });
+redisClient
+  .connect()
+  .catch((err) => console.error("Redis connection error:", err));
+
+const SMS_HOURLY_LIMIT = Number(process.env.SMS_HOURLY_LIMIT) || 5; // per phone
+const POSITION_UPDATE_GAP = 10 * 60; // seconds between position-only texts
+// Sent even when the hourly limit is used up
+const PRIORITY_EVENTS = ["queue_up_next", "queue_remove"];
+
+// Default texts per queue event; vendors can override any of them.
+// {business}, {position}, {wait}, {addedTime} and {message} are filled in.
+const DEFAULT_SMS_TEMPLATES = {
+  queue_updated:
+    "{business}: you're now #{position} in the queue. Estimated wait {wait} min.",
+  queue_up_next: "{business}: you're next! Please be ready at the counter.",
+  queue_skip: "{business}: your turn moved to #{position} in the queue.",
+  queue_hold: "{business}: your place in the queue is on hold.",
+  queue_unhold: "{business}: your place in the queue is active again.",
+  queue_remove: "{business}: you've been removed from the queue.",
+  queue_add_time: "{business}: your wait increased by {addedTime} min.",
+  business_break:
+    "{business} is on a short break: {message}. Your place is kept.",
+  helper_break:
+    "{business}: your helper is on a short break: {message}. Your place is kept.",
+  business_resumed: "{business} is open again. Your place is unchanged.",
+  helper_resumed: "{business}: your helper is back. Your place is unchanged.",
+};
+
+const renderTemplate = (template, vars) =>
+  template.replace(/\{(\w+)\}/g, (match, key) =>
+    vars[key] !== undefined && vars[key] !== null ? String(vars[key]) : match
+  );
+
+// Whether another text may go to this phone now
+const withinRateLimit = async (phone, event) => {
+  if (event === "queue_updated") {
+    const fresh = await redisClient.set(`smsGap:${phone}:${event}`, "1", {
+      NX: true,
+      EX: POSITION_UPDATE_GAP,
+    });
+    if (!fresh) return false;
+  }
+
+  const key = `smsCount:${phone}`;
+  const count = await redisClient.incr(key);
+  if (count === 1) await redisClient.expire(key, 60 * 60);
+  return count <= SMS_HOURLY_LIMIT || PRIORITY_EVENTS.includes(event);
+};
+
+const monthlyKey = (vendorId) => {
+  const { year, month } = getLocalParts(new Date());
+  return `smsMonthly:${vendorId}:${year}-${month}`;
+};
+
+// Texts a business has sent this calendar month
+const getMonthlySmsCount = async (vendorId) =>
+  Number(await redisClient.get(monthlyKey(vendorId))) || 0;
+
+const releasePlanQuota = (vendorId) => redisClient.decr(monthlyKey(vendorId));
+
+// Reserve one of the business's texts for this month, if its plan has any
+// left. The slot is taken up front so concurrent sends can't overrun the
+// quota, and handed back if the text isn't sent.
+const reservePlanQuota = async (vendorId, limit) => {
+  const key = monthlyKey(vendorId);
+  const count = await redisClient.incr(key);
+  if (count === 1) await redisClient.expire(key, 32 * 24 * 60 * 60);
+  if (count <= limit) return true;
+  await releasePlanQuota(vendorId);
+  return false;
+};
+
+// Text manual (walk-in) customers about a queue event, if the vendor opted
+// in and there's a template for it. Never throws.
+const sendQueueSms = async (vendor, manualUserIds, event, vars = {}) => {
+  const settings = vendor?.smsNotifications;
+  if (!settings?.enabled) return;
+
+  const template =
+    settings.templates?.get?.(event) ||
+    settings.templates?.[event] ||
+    DEFAULT_SMS_TEMPLATES[event];
+  if (!template) return;
+
+  const ids = [].concat(manualUserIds).filter(Boolean);
+  try {
+    const { limits } = await getEntitlements(vendor._id);
+
+    const manualUsers = await ManualAddUsers.find({
+      _id: { $in: ids },
+      vendorId: vendor._id,
+      isDeleted: false,
+    }).lean();
+
+    const body = renderTemplate(template, {
+      business: vendor.businessName || "Qveuw",
+      ...vars,
+    });
+
+    for (const manualUser of manualUsers) {
+      const to = `${manualUser.phone.dialCode}${manualUser.phone.number}`;
+      let reserved = false;
+      try {
+        if (!(await withinRateLimit(to, event))) continue;
+        reserved = await reservePlanQuota(vendor._id, limits.smsPerMonth);
+        if (!reserved) {
+          console.warn(`Monthly SMS quota used up for vendor ${vendor._id}`);
+          break;
+        }
+        await twilioClient.messages.create({
+          body,
+          from: process.env.TWILIO_PHONE_NUMBER,
+          to,
+        });
+      } catch (err) {
+        console.error(`Queue SMS to ${manualUser._id} failed:`, err.message);
+        // Only texts that went out count towards the plan
+        if (reserved) await releasePlanQuota(vendor._id).catch(() => {});
+      }
+    }
+  } catch (err) {
+    console.error("Queue SMS failed:", err);
+  }
+};
+
+module.exports = { DEFAULT_SMS_TEMPLATES, sendQueueSms, getMonthlySmsCount };
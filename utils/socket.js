@@ -0,0 +1,151 @@
+const { Server } = require("socket.io");
+const Vendor = require("../models/Vendor");
+const Queue = require("../models/Queue");
+const { authenticateToken } = require("../middlewares/verifyUser");
+
+let io = null;
+
+// Room names per vendor, per helper and per queue entry
+const vendorRoom = (vendorId) => `vendor:${vendorId}`;
+const helperRoom = (helperId) => `helper:${helperId}`;
+const queueRoom = (queueId) => `queue:${queueId}`;
+
+// Owner of the business or an accepted helper of it
+const canAccessVendor = async (userId, vendorId) => {
+  if (userId === vendorId) return true;
+  const vendor = await Vendor.findOne({
+    _id: vendorId,
+    accountType: "owner",
+    isDeleted: false,
+    connectedHelpers: {
+      $elemMatch: { helperId: userId, status: "accepted" },
+    },
+  }).lean();
+  return !!vendor;
+};
+
+// The helper themselves or the owner they are connected to
+const canAccessHelper = async (userId, helperId) => {
+  if (userId === helperId) return true;
+  const owner = await Vendor.findOne({
+    _id: userId,
+    accountType: "owner",
+    isDeleted: false,
+    connectedHelpers: { $elemMatch: { helperId, status: "accepted" } },
+  }).lean();
+  return !!owner;
+};
+
+// The customer who joined, or anyone with access to the business
+const canAccessQueue = async (userId, queueId) => {
+  const queue = await Queue.findById(queueId).select("userId vendorId").lean();
+  if (!queue) return false;
+  if (queue.userId && queue.userId === userId) return true;
+  return canAccessVendor(userId, queue.vendorId);
+};
+
+const initSocket = (httpServer) => {
+  io = new Server(httpServer, { cors: { origin: "*" } });
+
+  // Same JWT + Redis session check as verifyUser
+  io.use(async (socket, next) => {
+    const token =
+      socket.handshake.auth?.token ||
+      socket.handshake.headers["authorization"]?.split(" ")[1];
+
+    try {
+      const { decoded, error } = await authenticateToken(token);
+      if (error) return next(new Error(error));
+      socket.user = decoded;
+      next();
+    } catch (err) {
+      console.error("Socket verification error:", err.message);
+      next(new Error("Authentication failed"));
+    }
+  });
+
+  io.on("connection", (socket) => {
+    const userId = socket.user.id;
+
+    // Subscribe to any of { vendorId, helperId, queueId }
+    socket.on("subscribe", async (payload = {}, ack) => {
+      const { vendorId, helperId, queueId } = payload;
+      const respond = typeof ack === "function" ? ack : () => {};
+
+      try {
+        const rooms = [];
+        if (vendorId) {
+          if (!(await canAccessVendor(userId, vendorId))) {
+            return respond({ success: false, message: "Unauthorized" });
+          }
+          rooms.push(vendorRoom(vendorId));
+        }
+        if (helperId) {
+          if (!(await canAccessHelper(userId, helperId))) {
+            return respond({ success: false, message: "Unauthorized" });
+          }
+          rooms.push(helperRoom(helperId));
+        }
+        if (queueId) {
+          if (!(await canAccessQueue(userId, queueId))) {
+            return respond({ success: false, message: "Unauthorized" });
+          }
+          rooms.push(queueRoom(queueId));
+        }
+
+        if (rooms.length === 0) {
+          return respond({
+            success: false,
+            message: "vendorId, helperId or queueId is required",
+          });
+        }
+
+        socket.join(rooms);
+        respond({ success: true, message: "Subscribed", data: { rooms } });
+      } catch (error) {
+        console.error("Socket subscribe error:", error);
+        respond({ success: false, message: "Failed to subscribe" });
+      }
+    });
+
+    socket.on("unsubscribe", (payload = {}, ack) => {
+      const { vendorId, helperId, queueId } = payload;
+      if (vendorId) socket.leave(vendorRoom(vendorId));
+      if (helperId) socket.leave(helperRoom(helperId));
+      if (queueId) socket.leave(queueRoom(queueId));
+      if (typeof ack === "function") {
+        ack({ success: true, message: "Unsubscribed" });
+      }
+    });
+  });
+
+  return io;
+};
+
+// Broadcast a committed queue change to its vendor, helper and entry rooms.
+// previousHelperId lets the old helper drop an entry that was reassigned.
+const emitQueueUpdate = (queue, type, { previousHelperId } = {}) => {
+  if (!io || !queue) return;
+
+  const payload = {
+    type,
+    queueId: queue._id,
+    vendorId: queue.vendorId,
+    helperId: queue.helperId,
+    serviceId: queue.serviceId?._id || queue.serviceId,
+    status: queue.status,
+    currentPosition: queue.currentPosition,
+    estimatedWait: queue.estimatedWait,
+    estimatedServiceStartTime: queue.estimatedServiceStartTime,
+    timestamp: new Date(),
+  };
+
+  let target = io.to(vendorRoom(queue.vendorId)).to(queueRoom(queue._id));
+  if (queue.helperId) target = target.to(helperRoom(queue.helperId));
+  if (previousHelperId && previousHelperId !== queue.helperId) {
+    target = target.to(helperRoom(previousHelperId));
+  }
+  target.emit("queue:update", payload);
+};
+
+module.exports = { initSocket, emitQueueUpdate };
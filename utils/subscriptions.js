@@ -0,0 +1,245 @@
+const PaymentPlan = require("../models/paymentModel");
+const PlanPrice = require("../models/PlanPrice");
+const {
+  findApplicableCoupon,
+  getCouponDiscount,
+  redeemCoupon,
+} = require("./coupons");
+
+// in rupees; admins can override them in PlanPrice
+const DEFAULT_PLAN_PRICES = { monthly: 840, yearly: 7550 };
+const PLAN_MONTHS = { monthly: 1, yearly: 12 };
+const MIN_ORDER_AMOUNT = 1; // Razorpay's minimum, in rupees
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const addPlanPeriod = (start, planType) => {
+  const end = new Date(start);
+  end.setMonth(end.getMonth() + PLAN_MONTHS[planType]);
+  return end;
+};
+
+// Current price catalog, one entry per plan type
+const getPlanCatalog = async () => {
+  const overrides = await PlanPrice.find().lean();
+  return Object.keys(DEFAULT_PLAN_PRICES).map((planType) => ({
+    planType,
+    months: PLAN_MONTHS[planType],
+    price:
+      overrides.find((entry) => entry._id === planType)?.price ??
+      DEFAULT_PLAN_PRICES[planType],
+    currency: "INR",
+  }));
+};
+
+const getPlanPrice = async (planType) => {
+  const override = await PlanPrice.findById(planType).lean();
+  return override?.price ?? DEFAULT_PLAN_PRICES[planType];
+};
+
+// Paid plans that haven't ended: the one in effect and any renewals stacked
+// after it, in order
+const getUpcomingPlans = (vendorId, now = new Date(), excludeId = null) =>
+  PaymentPlan.find({
+    vendorId,
+    status: "paid",
+    endDate: { $gt: now },
+    supersededBy: null,
+    ...(excludeId ? { _id: { $ne: excludeId } } : {}),
+  })
+    .sort({ endDate: 1 })
+    .lean();
+
+// Value of the unused part of a plan
+const unusedValue = (plan, now) => {
+  const total = plan.endDate - plan.startDate;
+  const remaining =
+    plan.endDate - (plan.startDate > now ? plan.startDate : now);
+  return total > 0 ? (plan.amount * remaining) / total : 0;
+};
+
+// Credit an upgrade gets for the plans it cuts short
+const getUpgradeCredit = (plans, now) =>
+  roundMoney(plans.reduce((sum, plan) => sum + unusedValue(plan, now), 0));
+
+// Start of a plan that doesn't cut others short: after the last paid one
+const getStackedStart = (upcoming, now) =>
+  upcoming.length > 0 ? upcoming[upcoming.length - 1].endDate : now;
+
+// End of a plan starting at `startDate`, shortened by the `shortfall` rupees
+// of its `price` that weren't paid for after all
+const getPaidEndDate = (startDate, planType, price, shortfall = 0) => {
+  const periodMs = addPlanPeriod(startDate, planType) - startDate;
+  return new Date(
+    startDate.getTime() + Math.round((periodMs * (price - shortfall)) / price)
+  );
+};
+
+// Kind, credit and dates of a plan order against the vendor's paid plans
+// still ahead, before any coupon, or { error }
+const quotePeriod = (upcoming, planType, price, now) => {
+  const current = upcoming.find((plan) => plan.startDate <= now);
+  if (current?.planType === "monthly" && planType === "yearly") {
+    const credit = getUpgradeCredit(upcoming, now);
+    if (price - credit < MIN_ORDER_AMOUNT) {
+      return {
+        error: "Your paid months already cover a year; upgrade once they end",
+      };
+    }
+    return {
+      kind: "upgrade",
+      planType,
+      price,
+      proratedCredit: credit,
+      startDate: now,
+      endDate: addPlanPeriod(now, planType),
+      supersedesPlanIds: upcoming.map((plan) => plan._id),
+    };
+  }
+
+  const startDate = getStackedStart(upcoming, now);
+  return {
+    kind: upcoming.length > 0 ? "renewal" : "new",
+    planType,
+    price,
+    proratedCredit: 0,
+    startDate,
+    endDate: addPlanPeriod(startDate, planType),
+    supersedesPlanIds: [],
+  };
+};
+
+// Price and dates of a new plan order. Renewals (and yearly to monthly)
+// stack after the last paid plan. Monthly to yearly is an upgrade: it
+// starts on payment and is prorated against the unused monthly time. A
+// coupon comes off after proration. Returns { error } when the order can't
+// be made.
+const quotePlan = async (vendorId, planType, couponCode, now = new Date()) => {
+  const upcoming = await getUpcomingPlans(vendorId, now);
+  const price = await getPlanPrice(planType);
+  const quote = quotePeriod(upcoming, planType, price, now);
+  if (quote.error) return quote;
+
+  const subtotal = roundMoney(price - quote.proratedCredit);
+  if (!couponCode) return { ...quote, discount: 0, amount: subtotal };
+
+  const { coupon, error } = await findApplicableCoupon(
+    couponCode,
+    vendorId,
+    planType,
+    now
+  );
+  if (error) return { error };
+
+  const discount = getCouponDiscount(coupon, subtotal);
+  return {
+    ...quote,
+    couponId: coupon._id,
+    couponCode: coupon.code,
+    discount,
+    amount: Math.max(roundMoney(subtotal - discount), MIN_ORDER_AMOUNT),
+  };
+};
+
+// Mark the plan for a paid order as paid and settle its dates. Upgrades start
+// now and cut short every plan still ahead, re-credited as they stand at
+// payment: time has passed since the quote and renewals may have been paid
+// in between, so the plan is lengthened or shortened by the difference.
+// Other plans start when the vendor's last paid plan ends. A coupon that ran
+// out before payment is dropped, and the plan shortened to what was paid.
+// Settled in one transaction, so a failure leaves the plan pending for a
+// retry. Safe to repeat: the checkout callback and the webhook can both
+// report the same payment. Returns the plan, or null for an unknown order.
+const activatePaymentPlan = async (orderId, paymentId, signature) => {
+  const session = await PaymentPlan.startSession();
+  session.startTransaction();
+  try {
+    const plan = await PaymentPlan.findOneAndUpdate(
+      { orderId, status: { $ne: "paid" } },
+      { status: "paid", paymentId, ...(signature ? { signature } : {}) },
+      { new: true, session }
+    );
+    if (!plan) {
+      await session.abortTransaction();
+      return PaymentPlan.findOne({ orderId });
+    }
+
+    const price =
+      plan.price ?? plan.amount + plan.proratedCredit + plan.discount;
+    let shortfall = 0; // Rupees of plan time not covered after all
+
+    if (plan.couponId && !(await redeemCoupon(plan, session))) {
+      shortfall += plan.discount;
+      plan.couponId = undefined;
+      plan.couponCode = undefined;
+      plan.discount = 0;
+    }
+
+    const now = new Date();
+    const upcoming = await getUpcomingPlans(
+      plan.vendorId,
+      now,
+      plan._id
+    ).session(session);
+    if (plan.supersedesPlanIds.length > 0) {
+      const credit = getUpgradeCredit(upcoming, now);
+      shortfall += plan.proratedCredit - credit;
+
+      plan.startDate = now;
+      plan.proratedCredit = credit;
+      plan.supersedesPlanIds = upcoming.map((replaced) => replaced._id);
+      await PaymentPlan.updateMany(
+        { _id: { $in: plan.supersedesPlanIds } },
+        { endDate: now, isActive: false, supersededBy: plan._id },
+        { session }
+      );
+    } else {
+      plan.startDate = getStackedStart(upcoming, now);
+    }
+    plan.endDate = getPaidEndDate(
+      plan.startDate,
+      plan.planType,
+      price,
+      shortfall
+    );
+    plan.isActive = plan.startDate <= now;
+    await plan.save({ session });
+
+    if (plan.isActive) {
+      // Deactivate any other active plans for this vendor
+      await PaymentPlan.updateMany(
+        { vendorId: plan.vendorId, _id: { $ne: plan._id } },
+        { isActive: false },
+        { session }
+      );
+    }
+
+    await session.commitTransaction();
+    return plan;
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
+
+// Mark a pending plan's payment attempt as failed. A plan that was already
+// paid (e.g. a later retry succeeded) is left alone.
+const failPaymentPlan = (orderId, paymentId) =>
+  PaymentPlan.findOneAndUpdate(
+    { orderId, status: "pending" },
+    { status: "failed", isActive: false, paymentId },
+    { new: true }
+  );
+
+module.exports = {
+  DEFAULT_PLAN_PRICES,
+  getUpgradeCredit,
+  getPaidEndDate,
+  quotePeriod,
+  getPlanCatalog,
+  quotePlan,
+  activatePaymentPlan,
+  failPaymentPlan,
+};
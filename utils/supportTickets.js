@@ -0,0 +1,138 @@
+const multer = require("multer");
+const User = require("../models/User");
+const Vendor = require("../models/Vendor");
+const transporter = require("./mailer");
+const { notify } = require("./notifications");
+const { isChannelEnabled } = require("./notificationPreferences");
+const { uploadToCloudinary } = require("../routes/upload");
+
+const MAX_ATTACHMENTS = 5;
+const ATTACHMENT_TYPES = [
+  "image/png",
+  "image/jpeg",
+  "image/jpg",
+  "image/webp",
+  "application/pdf",
+];
+const SUPPORT_EMAIL = process.env.SUPPORT_EMAIL || process.env.EMAIL_USER;
+
+// Allowed support ticket status changes
+const TICKET_TRANSITIONS = {
+  open: ["in_progress", "closed"],
+  in_progress: ["open", "closed"],
+  closed: ["open"],
+};
+
+const attachmentUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    if (ATTACHMENT_TYPES.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error("Only images and PDF files can be attached"), false);
+    }
+  },
+  limits: { fileSize: 10 * 1024 * 1024, files: MAX_ATTACHMENTS }, // 10MB each
+});
+
+// Accept up to MAX_ATTACHMENTS files in "attachments"; rejects with a 400
+const receiveAttachments = (req, res, next) =>
+  attachmentUpload.array("attachments", MAX_ATTACHMENTS)(req, res, (err) => {
+    if (err) {
+      return res
+        .status(400)
+        .json({ success: false, message: err.message, data: null });
+    }
+    next();
+  });
+
+// Upload received files to Cloudinary; returns their URLs
+const uploadAttachments = async (files = []) => {
+  const results = await Promise.all(
+    files.map((file) =>
+      uploadToCloudinary(file.buffer, file.originalname, "auto")
+    )
+  );
+  return results.map((result) => result.secure_url);
+};
+
+// Append a reply to the thread. Caller saves.
+const addTicketMessage = (
+  ticket,
+  { authorType, authorId, message, attachments }
+) => {
+  ticket.messages.push({ authorType, authorId, message, attachments });
+  ticket.lastReplyAt = new Date();
+  ticket.lastReplyBy = authorType;
+};
+
+const findRequester = (ticket) =>
+  ticket.accountType === "vendor"
+    ? Vendor.findById(ticket.createdBy)
+        .select("email notificationPreferences")
+        .lean()
+    : User.findById(ticket.createdBy)
+        .select("email notificationPreferences")
+        .lean();
+
+const attachmentLines = (attachments = []) =>
+  attachments.length > 0 ? `\n\nAttachments:\n${attachments.join("\n")}` : "";
+
+// Tell the requester about a staff reply by push and email, as their
+// support reply preferences allow. Never throws.
+const notifyRequesterOfReply = async (ticket, reply) => {
+  try {
+    const requester = await findRequester(ticket);
+
+    await notify(
+      ticket.createdBy,
+      {
+        title: "Support replied",
+        body: `New reply on "${ticket.subject}"`,
+        data: { type: "support_reply", ticketId: ticket._id },
+      },
+      ticket.accountType
+    );
+
+    if (requester && !isChannelEnabled(requester, "support_reply", "email")) {
+      return;
+    }
+    await transporter.sendMail({
+      from: process.env.EMAIL_USER || "mavinash422@gmail.com",
+      to: ticket.email || requester?.email,
+      subject: `Re: ${ticket.subject} [Ticket ${ticket._id}]`,
+      text: `${reply.message}${attachmentLines(
+        reply.attachments
+      )}\n\nReply in the app to continue this conversation.`,
+    });
+  } catch (err) {
+    console.error(`Support reply notification for ${ticket._id} failed:`, err);
+  }
+};
+
+// Email the support inbox about a requester's reply. Never throws.
+const notifySupportOfReply = async (ticket, reply) => {
+  if (!SUPPORT_EMAIL) return;
+  try {
+    await transporter.sendMail({
+      from: process.env.EMAIL_USER || "mavinash422@gmail.com",
+      to: SUPPORT_EMAIL,
+      replyTo: ticket.email,
+      subject: `Re: ${ticket.subject} [Ticket ${ticket._id}]`,
+      text: `${ticket.email} (${ticket.accountType}) replied:\n\n${
+        reply.message
+      }${attachmentLines(reply.attachments)}`,
+    });
+  } catch (err) {
+    console.error(`Support inbox email for ${ticket._id} failed:`, err);
+  }
+};
+
+module.exports = {
+  TICKET_TRANSITIONS,
+  receiveAttachments,
+  uploadAttachments,
+  addTicketMessage,
+  notifyRequesterOfReply,
+  notifySupportOfReply,
+};
@@ -0,0 +1,9 @@
+const twilio = require("twilio");
+
+// Shared Twilio client for verification codes and queue SMS
+const twilioClient = twilio(
+  process.env.TWILIO_ACCOUNT_SID,
+  process.env.TWILIO_AUTH_TOKEN
+);
+
+module.exports = twilioClient;
@@ -0,0 +1,181 @@
+const Queue = require("../models/Queue");
+const ServiceDurationStat = require("../models/ServiceDurationStat");
+
+const ACTIVE_STATUSES = ["in_queue", "in_service", "hold", "skipped"];
+// Statuses in which the front entry is being (or about to be) served
+const SERVING_STATUSES = ["in_queue", "in_service"];
+
+// Services overrun more often than they finish early, so the range is skewed
+const RANGE_LOW_FACTOR = 0.8;
+const RANGE_HIGH_FACTOR = 1.3;
+
+const EMPTY_WORK = { minutes: 0, low: 0, high: 0, count: 0 };
+
+// Learned stats with fewer samples than this are ignored
+const MIN_LEARNED_SAMPLES =
+  Number(process.env.SERVICE_STATS_MIN_SAMPLES) || 5;
+
+// Minutes added through add_time (undo records carry the negative amount)
+const getAddedTime = (queue) =>
+  (queue.updateHistory || [])
+    .filter((h) => ["add_time", "undo"].includes(h.action) && h.addedTime)
+    .reduce((sum, h) => sum + h.addedTime, 0);
+
+// Learned median/p90 per service, keyed "serviceId:helperId" for a helper
+// and "serviceId:" across the business. Null unless the vendor opted in.
+const loadLearnedDurations = async (vendor, session = null) => {
+  if (!vendor?.useLearnedDurations) return null;
+
+  const stats = await ServiceDurationStat.find({
+    vendorId: vendor._id,
+    sampleCount: { $gte: MIN_LEARNED_SAMPLES },
+  })
+    .session(session)
+    .lean();
+
+  return new Map(
+    stats.map((stat) => [`${stat.serviceId}:${stat.helperId || ""}`, stat])
+  );
+};
+
+// Expected and pessimistic minutes for a service, preferring what this
+// helper actually takes, then the business-wide figure, then the rate card
+const getServiceDuration = (learned, serviceId, helperId, configured) => {
+  const stat =
+    learned?.get(`${serviceId}:${helperId}`) || learned?.get(`${serviceId}:`);
+  return stat
+    ? { minutes: stat.median, high: stat.p90 }
+    : { minutes: configured, high: configured * RANGE_HIGH_FACTOR };
+};
+
+// Expected duration of an entry plus its extensions
+const getEntryDuration = (queue, learned = null) => {
+  const service = queue.serviceId || {};
+  const { minutes, high } = getServiceDuration(
+    learned,
+    service._id,
+    queue.helperId,
+    service.duration || 0
+  );
+  const added = getAddedTime(queue);
+  return {
+    minutes: Math.max(0, minutes + added),
+    high: Math.max(0, high + added),
+  };
+};
+
+// When the helper last finished a customer. Entries completed before
+// completedAt was stamped fall back to their last update.
+const getLastCompletionTime = async (helperId, session = null) => {
+  // Sequential: a transaction's session can't run queries in parallel
+  const stamped = await Queue.findOne({
+    helperId,
+    status: "completed",
+    completedAt: { $ne: null },
+  })
+    .sort({ completedAt: -1 })
+    .select("completedAt")
+    .session(session)
+    .lean();
+  const legacy = await Queue.findOne({
+    helperId,
+    status: "completed",
+    completedAt: null,
+  })
+    .sort({ updatedAt: -1 })
+    .select("updatedAt")
+    .session(session)
+    .lean();
+  const times = [stamped?.completedAt, legacy?.updatedAt].filter(Boolean);
+  return times.length > 0 ? new Date(Math.max(...times)) : null;
+};
+
+// When the front entry's service began: stamped by start_service, else the
+// helper's last completion or the moment the entry joined, whichever is later
+const getInProgressSince = (queue, lastCompletion) => {
+  if (queue.serviceStartedAt) return new Date(queue.serviceStartedAt);
+  const joined = new Date(queue.joiningTime);
+  return lastCompletion && lastCompletion > joined ? lastCompletion : joined;
+};
+
+// Add a block of work to a running total
+const addWork = (work, minutes, high = minutes * RANGE_HIGH_FACTOR) => ({
+  minutes: work.minutes + minutes,
+  low: work.low + minutes * RANGE_LOW_FACTOR,
+  high: work.high + Math.max(minutes, high),
+  count: work.count + 1,
+});
+
+const mergeWork = (a, b) => ({
+  minutes: a.minutes + b.minutes,
+  low: a.low + b.low,
+  high: a.high + b.high,
+  count: a.count + b.count,
+});
+
+// Remaining work of entries ordered front to back. When `inProgressSince`
+// is set, the first entry is being served and only its remainder counts.
+const sumWork = (entries, inProgressSince = null, learned = null) =>
+  entries.reduce((work, queue, index) => {
+    let { minutes, high } = getEntryDuration(queue, learned);
+    if (index === 0 && inProgressSince) {
+      const elapsed = Math.max(0, (Date.now() - inProgressSince) / (60 * 1000));
+      minutes = Math.max(0, minutes - elapsed);
+      high = Math.max(0, high - elapsed);
+    }
+    return addWork(work, minutes, high);
+  }, EMPTY_WORK);
+
+// Work queued on a helper ahead of `beforePosition` (the whole queue if unset)
+const getHelperWorkAhead = async (
+  vendorId,
+  helperId,
+  { beforePosition, excludeIds = [], learned = null, session = null } = {}
+) => {
+  const query = {
+    vendorId,
+    helperId,
+    status: { $in: ACTIVE_STATUSES },
+    _id: { $nin: excludeIds },
+  };
+  if (beforePosition) query.currentPosition = { $lt: beforePosition };
+
+  const entries = await Queue.find(query)
+    .populate("serviceId", "duration")
+    .sort({ currentPosition: 1 })
+    .session(session)
+    .lean();
+
+  const front = entries[0];
+  const inProgressSince =
+    front &&
+    front.currentPosition === 1 &&
+    SERVING_STATUSES.includes(front.status)
+      ? getInProgressSince(front, await getLastCompletionTime(helperId, session))
+      : null;
+
+  return sumWork(entries, inProgressSince, learned);
+};
+
+// Min/max wait around an estimate; only the queued work is uncertain, not
+// closed hours in between
+const toWaitRange = (estimatedWait, work) => ({
+  min: Math.max(0, Math.round(estimatedWait - (work.minutes - work.low))),
+  max: Math.round(estimatedWait + (work.high - work.minutes)),
+});
+
+module.exports = {
+  ACTIVE_STATUSES,
+  SERVING_STATUSES,
+  EMPTY_WORK,
+  loadLearnedDurations,
+  getServiceDuration,
+  getEntryDuration,
+  getLastCompletionTime,
+  getInProgressSince,
+  addWork,
+  mergeWork,
+  sumWork,
+  getHelperWorkAhead,
+  toWaitRange,
+};
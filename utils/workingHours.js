@@ -0,0 +1,208 @@
+// Working hours are stored as "HH:mm" strings in the business's local time
+const TIMEZONE = process.env.BUSINESS_TIMEZONE || "Asia/Kolkata";
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatter = new Intl.DateTimeFormat("en-US", {
+  timeZone: TIMEZONE,
+  year: "numeric",
+  month: "2-digit",
+  day: "2-digit",
+  hour: "2-digit",
+  minute: "2-digit",
+  weekday: "short",
+  hourCycle: "h23",
+});
+
+// Calendar parts of a date in the business timezone
+const getLocalParts = (date) => {
+  const parts = formatter.formatToParts(date);
+  const get = (type) => parts.find((p) => p.type === type).value;
+  return {
+    year: Number(get("year")),
+    month: Number(get("month")),
+    day: Number(get("day")),
+    hour: Number(get("hour")),
+    minute: Number(get("minute")),
+    dayKey: get("weekday").toLowerCase().slice(0, 3),
+  };
+};
+
+// Offset of the business timezone from UTC at a given instant, in minutes
+const getOffsetMinutes = (date) => {
+  const p = getLocalParts(date);
+  const localAsUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute);
+  const instant = Math.floor(date.getTime() / 60000) * 60000;
+  return Math.round((localAsUtc - instant) / 60000);
+};
+
+// Date for a local "HH:mm" on the same local calendar day as `date`
+const atLocalTime = (date, time) => {
+  const { year, month, day } = getLocalParts(date);
+  const [hours, minutes] = time.split(":").map(Number);
+  const guess = new Date(Date.UTC(year, month - 1, day, hours, minutes));
+  return new Date(guess.getTime() - getOffsetMinutes(guess) * 60 * 1000);
+};
+
+// "YYYY-MM-DD" of the local calendar day containing `date`
+const toLocalDateString = (date) => {
+  const { year, month, day } = getLocalParts(date);
+  return `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(
+    2,
+    "0"
+  )}`;
+};
+
+// Whether a "YYYY-MM-DD" string is a real calendar date (not 2026-02-30)
+const isCalendarDate = (value) => {
+  const time = Date.parse(value);
+  return (
+    !Number.isNaN(time) && new Date(time).toISOString().slice(0, 10) === value
+  );
+};
+
+// Holiday / special hours entry covering a local date, if any. Entries with
+// unreadable dates are ignored.
+const findHoursException = (vendor, localDate) =>
+  (vendor.hoursExceptions || []).find(
+    (ex) =>
+      ex.startDate <= localDate &&
+      ex.endDate >= localDate &&
+      isCalendarDate(ex.startDate) &&
+      isCalendarDate(ex.endDate)
+  );
+
+// Opening window for the local day containing `date`; date-specific
+// exceptions take precedence over the weekly schedule
+const getDayHours = (vendor, date) => {
+  const { dayKey } = getLocalParts(date);
+  const exception = findHoursException(vendor, toLocalDateString(date));
+  const hours = exception
+    ? {
+        isClosed: exception.type === "closed",
+        openTime: exception.openTime,
+        closeTime: exception.closeTime,
+      }
+    : vendor.workingHours?.[dayKey];
+  if (!hours || hours.isClosed) {
+    return { dayKey, isClosed: true, openAt: null, closeAt: null };
+  }
+
+  const openAt = atLocalTime(date, hours.openTime);
+  let closeAt = atLocalTime(date, hours.closeTime);
+  // Overnight hours (e.g. 18:00 - 02:00) close on the following day
+  if (closeAt <= openAt) {
+    closeAt = new Date(closeAt.getTime() + DAY_MS);
+  }
+
+  return { dayKey, isClosed: false, openAt, closeAt };
+};
+
+// Opening window that contains `date`, or the next one after it. Searches a
+// week of regular days; closures set as exceptions are skipped over whole,
+// however long they run.
+const getOpenWindow = (vendor, date) => {
+  // Overnight hours from the previous day may still be running
+  const previous = getDayHours(vendor, new Date(date.getTime() - DAY_MS));
+  if (!previous.isClosed && previous.closeAt > date) {
+    return { openAt: previous.openAt, closeAt: previous.closeAt };
+  }
+
+  let cursor = date;
+  let regularDays = 0;
+  while (regularDays <= 7) {
+    const day = getDayHours(vendor, cursor);
+    if (!day.isClosed && day.closeAt > date) {
+      return { openAt: day.openAt, closeAt: day.closeAt };
+    }
+
+    const localDate = toLocalDateString(cursor);
+    const exception = findHoursException(vendor, localDate);
+    if (exception?.type === "closed") {
+      // Jump to the day after the closure
+      const days =
+        (Date.parse(exception.endDate) - Date.parse(localDate)) / DAY_MS + 1;
+      cursor = new Date(cursor.getTime() + days * DAY_MS);
+    } else {
+      regularDays++;
+      cursor = new Date(cursor.getTime() + DAY_MS);
+    }
+  }
+  return null;
+};
+
+const isOpenNow = (vendor, now = new Date()) => {
+  const window = getOpenWindow(vendor, now);
+  return !!window && window.openAt <= now;
+};
+
+// Next time the business opens (now if it is open), or null if never
+const getNextOpenAt = (vendor, now = new Date()) => {
+  const window = getOpenWindow(vendor, now);
+  if (!window) return null;
+  return window.openAt > now ? window.openAt : now;
+};
+
+// Start time after `minutes` of work from `from`, counting only open time.
+// A service of `duration` that would run past closing spills into the next
+// open day. Falls back to plain clock time if the business never opens.
+const addWorkingMinutes = (vendor, from, minutes, duration = 0) => {
+  let cursor = new Date(from);
+  let remaining = minutes;
+
+  for (let i = 0; i < 14; i++) {
+    const window = getOpenWindow(vendor, cursor);
+    if (!window) break;
+    if (cursor < window.openAt) cursor = window.openAt;
+
+    const available = (window.closeAt - cursor) / (60 * 1000);
+    if (remaining + duration <= available) {
+      return new Date(cursor.getTime() + remaining * 60 * 1000);
+    }
+    // Whatever is left of today's queue is absorbed; the rest carries over
+    remaining = Math.max(0, remaining - available);
+    cursor = window.closeAt;
+  }
+
+  return new Date(from.getTime() + minutes * 60 * 1000);
+};
+
+// True when [start, end] fits inside a single opening window
+const isWithinWorkingHours = (vendor, start, end) => {
+  const { isClosed, openAt, closeAt } = getDayHours(vendor, start);
+  if (isClosed) return false;
+  return start >= openAt && end <= closeAt;
+};
+
+// Minutes the business is open between `start` and `end`
+const getOpenMinutesBetween = (vendor, start, end) => {
+  let cursor = new Date(start);
+  let minutes = 0;
+
+  while (cursor < end) {
+    const window = getOpenWindow(vendor, cursor);
+    if (!window || window.openAt >= end) break;
+
+    const from = window.openAt > cursor ? window.openAt : cursor;
+    const to = window.closeAt < end ? window.closeAt : end;
+    minutes += Math.max(0, (to - from) / (60 * 1000));
+    cursor = window.closeAt;
+  }
+
+  return Math.round(minutes);
+};
+
+module.exports = {
+  TIMEZONE,
+  getLocalParts,
+  atLocalTime,
+  toLocalDateString,
+  isCalendarDate,
+  findHoursException,
+  getDayHours,
+  getOpenWindow,
+  isOpenNow,
+  getNextOpenAt,
+  addWorkingMinutes,
+  isWithinWorkingHours,
+  getOpenMinutesBetween,
+};